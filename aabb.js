@@ -1,4 +1,8 @@
 // Axis Aligned Bounding Box (AABB)
+
+// Names of the axes
+const AABB_AXES = ['x', 'y', 'z'];
+
 class AABB {
 
   // Create an AABB. Can be created one of two ways:
@@ -57,6 +61,15 @@ class AABB {
     return _;
   }
 
+  // Transform by an AffineMatrix `m`. The bounds are recomputed from the 
+  // transformed corners, so the box grows to contain rotated contents.
+  transform(m) {
+    let _ = this;
+    let corners = _.boundingPoints().map(i => m.transformPoint(i));
+    _.clear();
+    return _.add(corners);
+  }
+
   // Clear
   clear() {
     this.initialized = 0;
@@ -113,12 +126,126 @@ class AABB {
     }, 1);
   }
 
-  // Does this AABB intersect with another?
+  toJSON() {
+    return { $type: 'AABB', initialized: this.initialized, min: this.min, max: this.max };
+  }
+
+  // Create from an object with `min` and `max` (e.g. parsed from toJSON())
+  static fromJSON(o) {
+    let _ = new AABB();
+    _.initialized = o.initialized;
+    _.min = Vector.fromJSON(o.min);
+    _.max = Vector.fromJSON(o.max);
+    return _;
+  }
+
+  // Does this AABB intersect with another? The intervals of the boxes
+  // are compared along each axis.
   // Returns:
   //  -1    no intersection
   //  0     edge or point intersection
   //  1     overlapping area or volume intersection
   intersects(b, nDims=3) {
-    return this.boundingPoints().map(pt => b.contains(pt, nDims)).max();
+    let _ = this;
+    return AABB_AXES.slice(0, nDims)
+      .reduce((res, c) => Math.min(
+        res,
+        Math.sign(Math.min(_.max[c], b.max[c]) - Math.max(_.min[c], b.min[c]))
+      ), 1);
+  }
+
+  // Copy
+  copy() {
+    let _ = new AABB();
+    _.initialized = this.initialized;
+    _.min = this.min.copy();
+    _.max = this.max.copy();
+    return _;
+  }
+
+  // Intersection with another AABB `b`, as a new AABB. 
+  // If the boxes don't intersect, the result is empty (not initialized).
+  intersection(b) {
+    let _ = new AABB();
+    if (!this.initialized || !b.initialized || this.intersects(b) < 0) return _;
+    return _.add([
+      new Vector(...AABB_AXES.map(c => Math.max(this.min[c], b.min[c]))),
+      new Vector(...AABB_AXES.map(c => Math.min(this.max[c], b.max[c])))
+    ]);
+  }
+
+  // Union with another AABB `b`, as a new AABB
+  union(b) {
+    let _ = this.copy();
+    return b.initialized ? _.add(b) : _;
+  }
+
+  // Expand by a margin on all sides
+  //  m   margin (number or vector of margins per axis). Negative margins shrink
+  //      the box, down to its centroid.
+  expand(m) {
+    m = m instanceof Vector ? m : new Vector(m, m, m);
+    let _ = this;
+    let o = _.centroid();
+    _.min = _.min.sub(m);
+    _.max = _.max.add(m);
+    AABB_AXES.forEach(c => {
+      if (_.min[c] > _.max[c]) _.min[c] = _.max[c] = o[c];
+    });
+    return _;
+  }
+
+  // Pad by a margin on all sides (same as expand)
+  pad(m) {
+    return this.expand(m);
+  }
+
+  // Closest point within this AABB to a vector `p`
+  closestPoint(p) {
+    return new Vector(...AABB_AXES.map(c => clamp(p[c], this.min[c], this.max[c])));
+  }
+
+  // Distance from a vector `p` to this AABB (0 inside)
+  distanceTo(p) {
+    return this.closestPoint(p).dist(p);
+  }
+
+  // Intersect a ray with this AABB
+  //  o   origin of the ray (vector)
+  //  d   direction of the ray (vector, not necessarily normalized)
+  // Returns [tNear, tFar], where the ray enters at o + d * tNear and exits at
+  // o + d * tFar. tNear is negative if the origin is inside. Returns null if
+  // the ray misses or the box is behind it.
+  rayIntersect(o, d) {
+    let tNear = -Infinity;
+    let tFar = Infinity;
+    for (let c of AABB_AXES) {
+      if (d[c] === 0) {
+        // Parallel to this slab; miss if outside it
+        if (o[c] < this.min[c] || o[c] > this.max[c]) return null;
+        continue;
+      }
+      let t0 = (this.min[c] - o[c]) / d[c];
+      let t1 = (this.max[c] - o[c]) / d[c];
+      if (t0 > t1) [t0, t1] = [t1, t0];
+      tNear = Math.max(tNear, t0);
+      tFar = Math.min(tFar, t1);
+      if (tNear > tFar) return null;
+    }
+    return tFar < 0 ? null : [tNear, tFar];
+  }
+
+  // Split into two AABB's along an axis
+  //  a   axis ('x', 'y', 'z' or index 0, 1, 2)
+  //  t   parameter along the axis in [0, 1] at which to split
+  // Returns [lower, upper].
+  split(a, t = 0.5) {
+    let c = typeof a === 'number' ? AABB_AXES[a] : a.toLowerCase();
+    let lower = this.copy();
+    let upper = this.copy();
+    lower.max[c] = upper.min[c] = lerpValue(this.min[c], this.max[c], t);
+    return [lower, upper];
   }
 }
+
+if (typeof registerType !== 'undefined') registerType('AABB', AABB);
@@ -0,0 +1,241 @@
+// Affine transformation matrix for 2D and 3D, stored as a 4x4 matrix in
+// row-major order. 2D transforms are 3D transforms that leave z unchanged.
+//
+// This class is named AffineMatrix (not Matrix) so it doesn't shadow the
+// global Matrix installed by Paper.js.
+//
+// Like Vector, all operations return a copy, leaving the matrix unchanged.
+// Operations chain like Paper.js and the canvas API: each new operation is
+// applied to points *before* the operations already in the matrix.
+// For example, (new AffineMatrix()).translate(t).scale(s) scales first, then
+// translates.
+class AffineMatrix {
+  // Create a matrix from a list of 16 values in row-major order.
+  // By default, the identity matrix is created.
+  constructor(m = null) {
+    this.m = m ? [...m] : [
+      1, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1
+    ];
+  }
+
+  // Create a 2D matrix from the six values used by the canvas API and
+  // Paper.js: x' = a*x + c*y + tx, y' = b*x + d*y + ty
+  static fromAffine2D(a, b, c, d, tx, ty) {
+    return new AffineMatrix([
+      a, c, 0, tx,
+      b, d, 0, ty,
+      0, 0, 1, 0,
+      0, 0, 0, 1
+    ]);
+  }
+
+  // Get the six 2D values [a, b, c, d, tx, ty] (see fromAffine2D)
+  toAffine2D() {
+    let m = this.m;
+    return [m[0], m[4], m[1], m[5], m[3], m[7]];
+  }
+
+  copy() {
+    return new AffineMatrix(this.m);
+  }
+
+  // Get the value at row `r` and column `c`
+  get(r, c) {
+    return this.m[r * 4 + c];
+  }
+
+  // Multiply this matrix by `b` (this * b). Points are transformed by `b`
+  // first, then by this matrix.
+  multiply(b) {
+    let m = range(4, 4).map(([r, c]) =>
+      range(4).map(k => this.m[r * 4 + k] * b.m[k * 4 + c]).sum());
+    return new AffineMatrix(m);
+  }
+
+  // Compose this matrix with `b`, so that `b` is applied after this matrix
+  // (b * this).
+  compose(b) {
+    return b.multiply(this);
+  }
+
+  // Translate by a Vector or components (x, y, z)
+  translate(x, y, z) {
+    [x, y, z] = (new Vector())._parseArgs(x, y, z);
+    return this.multiply(new AffineMatrix([
+      1, 0, 0, x,
+      0, 1, 0, y,
+      0, 0, 1, z,
+      0, 0, 0, 1
+    ]));
+  }
+
+  // Scale by a Vector or components (x, y, z). A single number scales
+  // uniformly in all dimensions. Two numbers scale x and y only.
+  scale(x, y, z) {
+    if (x instanceof Vector) [x, y, z] = x.xyz;
+    else if (x instanceof Array) [x, y, z] = [x[0], x[1], x.length > 2 ? x[2] : 1];
+    else if (y == null) [y, z] = [x, x];
+    else if (z == null) z = 1;
+    return this.multiply(new AffineMatrix([
+      x, 0, 0, 0,
+      0, y, 0, 0,
+      0, 0, z, 0,
+      0, 0, 0, 1
+    ]));
+  }
+
+  // Rotate by `angle` (radians) around a normalized `axis` (default: +z,
+  // which is a 2D rotation in the XY plane).
+  rotate(angle, axis = new Vector(0, 0, 1)) {
+    let c = Math.cos(angle);
+    let s = Math.sin(angle);
+    let t = 1 - c;
+    let { x, y, z } = axis;
+    return this.multiply(new AffineMatrix([
+      t * x * x + c,     t * x * y - s * z, t * x * z + s * y, 0,
+      t * x * y + s * z, t * y * y + c,     t * y * z - s * x, 0,
+      t * x * z - s * y, t * y * z + s * x, t * z * z + c,     0,
+      0, 0, 0, 1
+    ]));
+  }
+
+  rotateX(angle) {
+    return this.rotate(angle, new Vector(1, 0, 0));
+  }
+
+  rotateY(angle) {
+    return this.rotate(angle, new Vector(0, 1, 0));
+  }
+
+  rotateZ(angle) {
+    return this.rotate(angle, new Vector(0, 0, 1));
+  }
+
+  // Skew in 2D by angles (radians): x' = x + tan(ax) * y, y' = y + tan(ay) * x
+  skew(ax, ay = 0) {
+    return this.multiply(new AffineMatrix([
+      1, Math.tan(ax), 0, 0,
+      Math.tan(ay), 1, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1
+    ]));
+  }
+
+  // Get the 3x3 minor that excludes row `r` and column `c`
+  _minor(r, c) {
+    return range(4).filter(i => i != r).map(i =>
+      range(4).filter(j => j != c).map(j => this.m[i * 4 + j]));
+  }
+
+  // Determinant of a 3x3 matrix (a list of rows)
+  static _det3([[a, b, c], [d, e, f], [g, h, i]]) {
+    return a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+  }
+
+  determinant() {
+    return range(4)
+      .map(c => (c % 2 ? -1 : 1) * this.m[c] * AffineMatrix._det3(this._minor(0, c)))
+      .sum();
+  }
+
+  // Get the inverse of this matrix, or null if it is singular. The
+  // determinant is compared to the product of the row lengths (its largest
+  // possible size), so the test doesn't depend on the matrix's scale.
+  invert() {
+    let det = this.determinant();
+    let rowLengths = range(4).map(r => Math.hypot(...this.m.slice(r * 4, r * 4 + 4)));
+    if (!(Math.abs(det) > Number.EPSILON * rowLengths.reduce((a, b) => a * b))) {
+      console.warn('AffineMatrix.prototype.invert:', 'matrix is singular');
+      return null;
+    }
+    // The inverse is the transposed matrix of cofactors, divided by the determinant
+    return new AffineMatrix(range(4, 4).map(([r, c]) =>
+      ((r + c) % 2 ? -1 : 1) * AffineMatrix._det3(this._minor(c, r)) / det));
+  }
+
+  // Decompose into translation, rotation, skew and scale, such that
+  // this = translate(translation) * rotation * skew * scale, where:
+  //  translation   Vector
+  //  rotation      angle (radians) of the rotation in the XY plane
+  //  rotationMatrix  AffineMatrix of the full 3D rotation
+  //  quaternion    Quaternion of the full 3D rotation
+  //  skew          Vector of shear factors (xy, xz, yz) of a unit upper
+  //                triangular matrix
+  //  scale         Vector
+  // Only affine matrices can be decomposed.
+  decompose() {
+    let m = this.m;
+    let column = c => new Vector(m[c], m[4 + c], m[8 + c]);
+
+    // Gram-Schmidt orthogonalization of the columns
+    let c0 = column(0);
+    let c1 = column(1);
+    let c2 = column(2);
+    let sx = c0.mag();
+    c0 = c0.norm();
+    let kxy = c0.dot(c1);
+    c1 = c1.sub(c0.mult(kxy));
+    let sy = c1.mag();
+    c1 = c1.norm();
+    let kxz = c0.dot(c2);
+    c2 = c2.sub(c0.mult(kxz));
+    let kyz = c1.dot(c2);
+    c2 = c2.sub(c1.mult(kyz));
+    let sz = c2.mag();
+    c2 = c2.norm();
+
+    // A reflection is expressed as a negative x scale
+    if (this.determinant() < 0) {
+      sx = -sx;
+      c0 = c0.mult(-1);
+      kxy = -kxy;
+      kxz = -kxz;
+    }
+
+    let rotationMatrix = new AffineMatrix([
+      c0.x, c1.x, c2.x, 0,
+      c0.y, c1.y, c2.y, 0,
+      c0.z, c1.z, c2.z, 0,
+      0, 0, 0, 1
+    ]);
+
+    return {
+      translation: new Vector(m[3], m[7], m[11]),
+      rotation: Math.atan2(c0.y, c0.x),
+      rotationMatrix,
+      quaternion: Quaternion.fromRotationMatrix(rotationMatrix),
+      skew: new Vector(safeDivide(kxy, sy), safeDivide(kxz, sz), safeDivide(kyz, sz)),
+      scale: new Vector(sx, sy, sz)
+    };
+  }
+
+  // Transform a point (a Vector)
+  transformPoint(v) {
+    let m = this.m;
+    let result = new Vector(
+      m[0] * v.x + m[1] * v.y + m[2] * v.z + m[3],
+      m[4] * v.x + m[5] * v.y + m[6] * v.z + m[7],
+      m[8] * v.x + m[9] * v.y + m[10] * v.z + m[11]
+    );
+    // Projective matrices need a divide by w
+    let w = m[12] * v.x + m[13] * v.y + m[14] * v.z + m[15];
+    return w === 1 ? result : result.div(w);
+  }
+
+  // Transform a direction (a Vector), ignoring translation
+  transformDirection(v) {
+    let m = this.m;
+    return new Vector(
+      m[0] * v.x + m[1] * v.y + m[2] * v.z,
+      m[4] * v.x + m[5] * v.y + m[6] * v.z,
+      m[8] * v.x + m[9] * v.y + m[10] * v.z
+    );
+  }
+
+  array() {
+    return [...this.m];
+  }
+}
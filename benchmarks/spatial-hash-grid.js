@@ -0,0 +1,85 @@
+// Compare SpatialHashGrid with kdTree for fixed-radius neighbor queries on
+// moving points: each frame, every point moves a little and the neighbors
+// within `radius` of every point are found.
+//  kdTree            rebuilt each frame, queried with nearest(p, maxNodes,
+//                    radius^2), since its metric is the squared distance
+//  SpatialHashGrid   updated with move(), queried with queryRadius()
+// Both must find the same number of neighbors, and forEachPair() must find
+// each pair of them once (each point's neighbors include itself). Run with:
+//  node benchmarks/spatial-hash-grid.js
+
+const load = require('../tests/load');
+
+const { run } = load([
+  'helpers.js', 'vector.js', 'aabb.js', 'kdTree.js', 'spatial-hash-grid.js',
+  'random-number-generator.js'
+], { tokenData: { hash: '0x' + '0123456789abcdef'.repeat(4) } });
+
+let result = run(`
+  let nPoints = 5000, size = 800, radius = 10, frames = 20, maxNodes = 100;
+  let seed = '0x' + hashHex('benchmarks/spatial-hash-grid', 8);
+
+  // Move the same points the same way for each method, timing \`frame()\`,
+  // which returns a count of what it found. Returned are the average time
+  // per frame, the total count, and the state from \`setup()\`.
+  let simulate = (setup, frame) => {
+    let rng = RNG.fromHash(seed);
+    let points = range(nPoints).map(() => new Vector(rng.num(0, size), rng.num(0, size)));
+    let state = setup(points);
+    let time = 0, count = 0;
+    range(frames).forEach(() => {
+      points.forEach(p => {
+        p.x = clamp(p.x + rng.num(-2, 2), 0, size);
+        p.y = clamp(p.y + rng.num(-2, 2), 0, size);
+      });
+      let start = performance.now();
+      count += frame(points, state);
+      time += performance.now() - start;
+    });
+    return { msPerFrame: time / frames, count, state };
+  };
+
+  let metric = (a, b) => (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+  let kd = simulate(() => null, (points) => {
+    let tree = new kdTree(points.slice(), metric, ['x', 'y']);
+    return points.map(p => tree.nearest(p, maxNodes, radius * radius).length).sum();
+  });
+
+  let queries = simulate((points) => {
+    let grid = new SpatialHashGrid(radius, new AABB([new Vector(0, 0), new Vector(size, size)]));
+    points.forEach(p => grid.insert(p));
+    return grid;
+  }, (points, grid) => {
+    points.forEach(p => grid.move(p));
+    return points.map(p => grid.queryRadius(p, radius).length).sum();
+  });
+
+  let pairs = simulate((points) => {
+    let grid = new SpatialHashGrid(radius, new AABB([new Vector(0, 0), new Vector(size, size)]));
+    points.forEach(p => grid.insert(p));
+    return grid;
+  }, (points, grid) => {
+    points.forEach(p => grid.move(p));
+    let count = 0;
+    grid.forEachPair(radius, () => count++);
+    return count;
+  });
+
+  return { kd, queries, pairs, nPoints, radius, frames };
+`);
+
+let row = (name, { msPerFrame, count }, unit) =>
+  console.log(name.padEnd(44) + msPerFrame.toFixed(1).padStart(8) + ' ms/frame' +
+    (count / result.frames).toFixed(0).padStart(10) + ' ' + unit);
+console.log(result.nPoints + ' points, radius ' + result.radius + ', ' + result.frames + ' frames');
+row('kdTree rebuild + nearest(p, 100, r^2)', result.kd, 'neighbors/frame');
+row('SpatialHashGrid move + queryRadius', result.queries, 'neighbors/frame');
+row('SpatialHashGrid move + forEachPair', result.pairs, 'pairs/frame');
+if (result.kd.count != result.queries.count) {
+  console.error('kdTree and SpatialHashGrid found different neighbors.');
+  process.exitCode = 1;
+}
+if (result.pairs.count * 2 + result.nPoints * result.frames != result.queries.count) {
+  console.error('forEachPair() and queryRadius() found different neighbors.');
+  process.exitCode = 1;
+}
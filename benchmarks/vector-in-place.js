@@ -0,0 +1,74 @@
+// Compare Vector's copying operations with their in-place variants in a
+// particle update: each frame, every particle is pulled toward the center,
+// damped and moved.
+//  copying     p.vel = p.vel.add(force).mult(0.99), etc.
+//  in place    p.vel.addSelf(force).multSelf(0.99), etc., with one scratch
+//              vector for the force
+// Vectors allocated per frame are counted in a separate run, with a counter
+// added to the Vector constructor. Short-lived vectors are cheap in V8, so
+// the difference in time varies between runs; fewer allocations mainly
+// means fewer garbage collection pauses in long animations. Both variants
+// must end with the same positions. Run with:
+//  node benchmarks/vector-in-place.js
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const load = require('../tests/load');
+
+const files = ['helpers.js', 'vector.js'];
+
+const simulate = `
+  let nParticles = 10000, frames = 100;
+  let center = new Vector(400, 400);
+  let particles = range(nParticles).map(i => ({
+    pos: new Vector(i % 100 * 8, Math.floor(i / 100) * 8),
+    vel: new Vector()
+  }));
+
+  let copying = () => particles.forEach(p => {
+    let force = center.sub(p.pos).normalize().mult(0.1);
+    p.vel = p.vel.add(force).mult(0.99);
+    p.pos = p.pos.add(p.vel);
+  });
+
+  let force = new Vector();
+  let inPlace = () => particles.forEach(p => {
+    force.set(center).subSelf(p.pos).normalizeSelf().multSelf(0.1);
+    p.vel.addSelf(force).multSelf(0.99);
+    p.pos.addSelf(p.vel);
+  });
+
+  let step = VARIANT == 'copying' ? copying : inPlace;
+  if (typeof vectorCount !== 'undefined') vectorCount = 0;
+  let start = performance.now();
+  range(frames).forEach(step);
+  let msPerFrame = (performance.now() - start) / frames;
+  return { msPerFrame, frames, positions: particles.map(p => p.pos.xyz).flat() };
+`;
+
+// Load vector.js with a counter in its constructor. (Vector's methods refer
+// to the class itself, so a subclass wouldn't see their allocations.)
+const loadCounted = (globals) => {
+  let context = load(['helpers.js'], { ...globals, vectorCount: 0 });
+  let constructor = 'class Vector {\n  constructor(x, y, z) {\n';
+  let source = fs.readFileSync(path.join(__dirname, '..', 'vector.js'), 'utf8');
+  if (!source.includes(constructor)) throw new Error('Vector constructor not found.');
+  vm.runInContext(source.replace(constructor, constructor + '    vectorCount++;\n'), context);
+  return context;
+};
+
+let results = ['copying', 'in place'].map(variant => {
+  let timed = load(files, { VARIANT: variant }).run(simulate);
+  let counted = loadCounted({ VARIANT: variant });
+  counted.run(simulate);
+  return { variant, ...timed, vectorsPerFrame: counted.vectorCount / timed.frames };
+});
+
+results.forEach(({ variant, msPerFrame, vectorsPerFrame }) => console.log(
+  variant.padEnd(10) + msPerFrame.toFixed(2).padStart(8) + ' ms/frame' +
+  vectorsPerFrame.toFixed(0).padStart(10) + ' Vectors allocated/frame'));
+if (results[0].positions.some((x, i) => x !== results[1].positions[i])) {
+  console.error('The copying and in-place updates ended with different positions.');
+  process.exitCode = 1;
+}
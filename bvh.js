@@ -0,0 +1,251 @@
+// Bounding volume hierarchy (BVH): a binary tree of AABB's over a set of
+// items (paths, segments, AABB's or arbitrary objects), for queries that
+// would otherwise test every item, or every pair of items.
+//
+// The tree is built top-down from the initial items, splitting at the median
+// of the longest axis. Later insertions descend to the sibling whose bounds
+// grow the least. Items must be unique objects, since they identify leaves.
+//
+// Example:
+//  let bvh = new BVH(paths);
+//  bvh.query(new AABB([new Vector(0, 0), new Vector(10, 10)])); // paths in a box
+//  bvh.pairs(); // pairs of paths with overlapping bounds
+
+// Default bounds of an item:
+//  AABB            a copy of itself
+//  PathLite        bounds of its vertices
+//  Vector or list  bounds of the vector(s), e.g. a segment [a, b]
+const bvhBounds = (item) => {
+  if (item instanceof AABB) return item.copy();
+  if (item instanceof PathLite) return new AABB(item.vertices);
+  if (item instanceof Vector || item instanceof Array) return new AABB(item);
+  throw new Error('BVH: no default bounds for item; provide a getBounds function.');
+};
+
+// Cost of a node's bounds: the sum of its dimensions, which (unlike volume)
+// works for flat 2D boxes.
+const bvhCost = (aabb) => aabb.dims().array().sum();
+
+class BVH {
+  // Create a BVH
+  //  items       list of items
+  //  getBounds   function that returns the AABB of an item
+  constructor(items = [], getBounds = bvhBounds) {
+    this.getBounds = getBounds;
+    // Leaf nodes by item
+    this._leaves = new Map();
+    this.root = items.length > 0
+      ? this._build(items.map(item => {
+        let leaf = this._leaf(item);
+        return { leaf, c: leaf.aabb.centroid() };
+      }), null)
+      : null;
+  }
+
+  get size() {
+    return this._leaves.size;
+  }
+
+  // Nodes have bounds (`aabb`), a `parent` and either an `item` (leaves)
+  // or `left` and `right` children.
+  _leaf(item) {
+    let leaf = { aabb: this.getBounds(item), item, parent: null, left: null, right: null };
+    this._leaves.set(item, leaf);
+    return leaf;
+  }
+
+  _isLeaf(node) {
+    return node.left == null;
+  }
+
+  // Build a subtree from a list of { leaf, c (centroid) }
+  _build(entries, parent) {
+    if (entries.length == 1) {
+      entries[0].leaf.parent = parent;
+      return entries[0].leaf;
+    }
+    // Split at the median along the longest axis of the centroids
+    let dims = (new AABB(entries.map(e => e.c))).dims();
+    let axis = ['x', 'y', 'z'].reduce((a, b) => dims[b] > dims[a] ? b : a);
+    entries.sort((a, b) => a.c[axis] - b.c[axis]);
+    let median = Math.floor(entries.length / 2);
+    let node = { aabb: null, item: null, parent };
+    node.left = this._build(entries.slice(0, median), node);
+    node.right = this._build(entries.slice(median), node);
+    node.aabb = node.left.aabb.union(node.right.aabb);
+    return node;
+  }
+
+  // Recompute the bounds of `node` and its ancestors
+  _refitUp(node) {
+    for (; node; node = node.parent) {
+      node.aabb = node.left.aabb.union(node.right.aabb);
+    }
+  }
+
+  // Insert an item. An item that's already in the BVH is refit.
+  insert(item) {
+    if (this._leaves.has(item)) return this.refit(item);
+    let leaf = this._leaf(item);
+    if (this.root == null) {
+      this.root = leaf;
+      return this;
+    }
+    // Descend to the sibling whose bounds grow the least
+    let sibling = this.root;
+    while (!this._isLeaf(sibling)) {
+      let growth = [sibling.left, sibling.right]
+        .map(child => bvhCost(child.aabb.union(leaf.aabb)) - bvhCost(child.aabb));
+      sibling = growth[0] <= growth[1] ? sibling.left : sibling.right;
+    }
+    // Replace the sibling with a new parent of the sibling and leaf
+    let parent = { aabb: null, item: null, parent: sibling.parent, left: sibling, right: leaf };
+    if (sibling.parent == null) this.root = parent;
+    else if (sibling.parent.left == sibling) sibling.parent.left = parent;
+    else sibling.parent.right = parent;
+    sibling.parent = parent;
+    leaf.parent = parent;
+    this._refitUp(parent);
+    return this;
+  }
+
+  // Remove an item. Returned is whether it was in the BVH.
+  remove(item) {
+    let leaf = this._leaves.get(item);
+    if (leaf == null) return false;
+    this._leaves.delete(item);
+    let parent = leaf.parent;
+    if (parent == null) {
+      this.root = null;
+      return true;
+    }
+    // Replace the parent with the leaf's sibling
+    let sibling = parent.left == leaf ? parent.right : parent.left;
+    let grandparent = parent.parent;
+    sibling.parent = grandparent;
+    if (grandparent == null) {
+      this.root = sibling;
+    } else {
+      if (grandparent.left == parent) grandparent.left = sibling;
+      else grandparent.right = sibling;
+      this._refitUp(grandparent);
+    }
+    return true;
+  }
+
+  // Update bounds after an item has changed, or after all items have changed
+  // if no item is provided.
+  refit(item = null) {
+    if (item != null) {
+      let leaf = this._leaves.get(item);
+      if (leaf == null) return this;
+      leaf.aabb = this.getBounds(item);
+      if (leaf.parent) this._refitUp(leaf.parent);
+      return this;
+    }
+    let refitNode = (node) => {
+      if (this._isLeaf(node)) {
+        node.aabb = this.getBounds(node.item);
+      } else {
+        refitNode(node.left);
+        refitNode(node.right);
+        node.aabb = node.left.aabb.union(node.right.aabb);
+      }
+    };
+    if (this.root) refitNode(this.root);
+    return this;
+  }
+
+  // Get the items of all leaves whose nodes pass `test(node)`. Subtrees of
+  // nodes that fail the test are skipped.
+  _collect(test) {
+    let items = [];
+    let stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      let node = stack.pop();
+      if (!test(node)) continue;
+      if (this._isLeaf(node)) items.push(node.item);
+      else stack.push(node.right, node.left);
+    }
+    return items;
+  }
+
+  // Get the items whose bounds intersect (or touch) an AABB `b`
+  query(b) {
+    return this._collect(node => node.aabb.intersects(b) >= 0);
+  }
+
+  // Get the items whose bounds contain (or touch) a vector `p`
+  queryPoint(p) {
+    return this._collect(node => node.aabb.contains(p) >= 0);
+  }
+
+  // Get the items whose bounds are hit by a ray from `o` in direction `d`.
+  // Returned is a list of { item, t }, sorted by the parameter t >= 0 at
+  // which the ray enters the item's bounds (0 if it starts inside).
+  raycast(o, d) {
+    let hits = [];
+    this._collect(node => {
+      let ts = node.aabb.rayIntersect(o, d);
+      if (ts && this._isLeaf(node)) hits.push({ item: node.item, t: Math.max(ts[0], 0) });
+      return ts != null;
+    });
+    return hits.sort((a, b) => a.t - b.t);
+  }
+
+  // Get the nearest item to a vector `p`, as { item, distance }, or null if
+  // empty. By default, the distance is to the item's bounds. Provide
+  // `distance(item, p)` for exact distances; it must not be smaller than
+  // the distance to the item's bounds.
+  nearest(p, distance = null) {
+    let best = null;
+    let search = (node) => {
+      if (best && node.aabb.distanceTo(p) >= best.distance) return;
+      if (this._isLeaf(node)) {
+        let d = distance ? distance(node.item, p) : node.aabb.distanceTo(p);
+        if (best == null || d < best.distance) best = { item: node.item, distance: d };
+        return;
+      }
+      // Search the closer child first
+      let children = [node.left, node.right];
+      if (node.right.aabb.distanceTo(p) < node.left.aabb.distanceTo(p)) children.reverse();
+      children.forEach(search);
+    };
+    if (this.root) search(this.root);
+    return best;
+  }
+
+  // Get all pairs of items with intersecting (or touching) bounds, for a
+  // broad phase of collision detection. Pairs are among the items of this
+  // BVH, or between this BVH and `other` if provided.
+  // Returned is a list of [item, item] pairs.
+  pairs(other = null) {
+    let pairs = [];
+    let crossPairs = (a, b) => {
+      if (a.aabb.intersects(b.aabb) < 0) return;
+      let aLeaf = this._isLeaf(a);
+      let bLeaf = this._isLeaf(b);
+      if (aLeaf && bLeaf) {
+        pairs.push([a.item, b.item]);
+      } else if (bLeaf || (!aLeaf && bvhCost(a.aabb) >= bvhCost(b.aabb))) {
+        crossPairs(a.left, b);
+        crossPairs(a.right, b);
+      } else {
+        crossPairs(a, b.left);
+        crossPairs(a, b.right);
+      }
+    };
+    let selfPairs = (node) => {
+      if (this._isLeaf(node)) return;
+      selfPairs(node.left);
+      selfPairs(node.right);
+      crossPairs(node.left, node.right);
+    };
+    if (other) {
+      if (this.root && other.root) crossPairs(this.root, other.root);
+    } else if (this.root) {
+      selfPairs(this.root);
+    }
+    return pairs;
+  }
+}
@@ -3,22 +3,8 @@
 // point that shuffle was connected to the random seed.)
 //    a   array
 //    m   modify passed array? (default: false)
-var shuffleList = (a, m) => {
-  a = m ? a : a.slice();
-
-  let r, // random
-    t, // tmp
-    i = a.length; // index
-  while (i > 1) {
-    r = (R.dec() * i) | 0;
-
-    t = a[--i];
-    a[i] = a[r];
-    a[r] = t;
-  }
-
-  return a;
-};
+//    g   random number generator (default: R)
+var shuffleList = (a, m, g = R) => g.shuffle(a, m);
 
 // Clamp value to low and high
 //    a   in value
@@ -104,15 +90,42 @@ var range = (...dims) => {
 // Swap values at indices `p` and `q` in array `a`
 var swap = (a, p, q) => [a[p], a[q]] = [a[q], a[p]];
 
+// Registry of serializable classes, by type name. A registered class
+// implements toJSON(), which returns an object with a `$type` key set to
+// the type name, and a static fromJSON() that recreates an instance.
+// Classes register themselves when their file loads, so load helpers.js
+// first. The registry has no prototype, so a `$type` like 'constructor'
+// doesn't match a built-in.
+var serializableTypes = Object.create(null);
+
+// Register class `cls` under `name` for serialize(), deserialize() and deepCopy()
+var registerType = (name, cls) => serializableTypes[name] = cls;
+
+// JSON.parse reviver that recreates instances of registered classes
+var reviveTypes = (key, value) =>
+  value instanceof Object && value.$type in serializableTypes
+    ? serializableTypes[value.$type].fromJSON(value)
+    : value;
+
+// Serialize `a` to a JSON string, with instances of registered classes
+// (e.g. Vector, AABB, PathLite) tagged by type.
+//    a       value to serialize
+//    space   indentation passed to JSON.stringify
+var serialize = (a, space) => JSON.stringify(a, null, space);
+
+// Deserialize a JSON string from serialize(), recreating class instances
+var deserialize = (s) => JSON.parse(s, reviveTypes);
+
 // Recursive Deep Copy
 // Note: This will copy all objects, arrays, variables, and functions in `a`. 
-// All copies are deep, with the exception of functions.
+// All copies are deep, with the exception of functions. Instances of 
+// registered classes (see registerType) keep their class.
 // Optionally, provide an object `b` from which to copy items from into `a`.
 // The result is analogous to the pseudocode: `union(copy(a),copy(b))`
 var deepCopy = (a, b) => {
 
   // Function for deep copying a parseable object.
-  let _copy = (i) => i instanceof Function ? i : JSON.parse(JSON.stringify(i));
+  let _copy = (i) => i instanceof Function ? i : deserialize(serialize(i));
 
   // Function for deep copying a parseable object and shallow copying all 
   // unparseable values.
@@ -298,12 +311,55 @@ Array.prototype.remap = function(start1, stop1 = 1, start2 = 0, stop2 = 1, withi
 // Hash of string or number
 var hash = (v, i = 0) => (typeof (v) == 'string' ? range(v.length).reduceArray((p, c) => p + v.charCodeAt(c) * 31 ** c) : v) * 31 ** i;
 
+// Hash a string or number `v` into a hex string made of `nWords` 32-bit words.
+// Each block of four words is a cyrb128 hash of `v` salted with the block index.
+// Only 32-bit integer math is used, so the result is identical across browsers.
+// https://github.com/bryc/code/blob/master/jshash/PRNGs.md
+var hashHex = (v, nWords = 4) => {
+  let text = v.toString();
+  let words = [];
+  for (let block = 0; words.length < nWords; block++) {
+    let h1 = 1779033703 ^ block, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0, k; i < text.length; i++) {
+      k = text.charCodeAt(i);
+      h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= (h2 ^ h3 ^ h4), h2 ^= h1, h3 ^= h1, h4 ^= h1;
+    words.push(h1, h2, h3, h4);
+  }
+  return words
+    .splice(0, nWords)
+    .map(w => (w >>> 0).toString(16).padStart(8, '0'))
+    .join('');
+};
+
 // Power (allows negative values)
 var power = (b, e) => Math.pow(Math.abs(b), e) * Math.sign(b); 
 
 // Log with optional base
 var logarithm = (v, b = 10) => Math.log(v) / Math.log(b);
 
+// Natural log of the gamma function for `a` > 0 (Lanczos approximation)
+var logGamma = (a) => {
+  let c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let x = a, y = a;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  for (let i = 0; i < c.length; i++) ser += c[i] / ++y;
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+};
+
 // Map value function, with defaults
 var mapValue = (n, start1, stop1 = 1, start2 = 0, stop2 = 1, withinBounds = true) => {
   let newval = (n - start1) / (stop1 - start1) * (stop2 - start2) + start2;
@@ -0,0 +1,95 @@
+// Adapters between this library's types and those of p5.js and Paper.js:
+//  Vector        <-> p5.Vector, Paper.js Point
+//  PathLite      <-> Paper.js Path
+//  AffineMatrix  <-> Paper.js Matrix
+// Path operations normalize their input through these adapters, so they
+// work on PathLite's whether or not Paper.js is loaded.
+//
+// Requires vector.js, path-lite.js and affine-matrix.js to be loaded first.
+
+// Get a Paper.js class by name (e.g. 'Point'). Throws an Error if Paper.js
+// isn't loaded.
+const paperClass = (name) => {
+  if (typeof paper === 'undefined') {
+    throw new Error('interop: Paper.js is not loaded (needed for paper.' + name + ').');
+  }
+  return paper[name];
+};
+
+// Create a Vector from a p5.Vector (or any object with x, y and z)
+Vector.fromP5 = (v) => new Vector(v.x, v.y, v.z);
+
+// Get this vector as a p5.Vector
+Vector.prototype.toP5 = function () {
+  if (typeof p5 === 'undefined') {
+    throw new Error('interop: p5.js is not loaded (needed for p5.Vector).');
+  }
+  return new p5.Vector(this.x, this.y, this.z);
+};
+
+// Create a Vector from a Paper.js Point (or any object with x and y)
+Vector.fromPaperPoint = (p) => new Vector(p.x, p.y);
+
+// Get this vector as a Paper.js Point (z is dropped)
+Vector.prototype.toPaperPoint = function () {
+  return new (paperClass('Point'))(this.x, this.y);
+};
+
+// Create a PathLite from a Paper.js Path. Its vertices are the points of
+// the path's segments; handles are ignored. If `flatness` is provided,
+// curves are first flattened (on a copy) to within that distance, so the
+// PathLite follows them.
+PathLite.fromPaperPath = (path, flatness = null) => {
+  if (flatness != null && path.hasHandles()) {
+    path = path.clone({ insert: false });
+    path.flatten(flatness);
+  }
+  let result = new PathLite(path.segments.map(segment => Vector.fromPaperPoint(segment.point)));
+  result.closed = path.closed;
+  return result;
+};
+
+// Get this path as a Paper.js Path, which is inserted into the active layer
+// like any new Paper.js item.
+PathLite.prototype.toPaperPath = function () {
+  return new (paperClass('Path'))({
+    segments: this.vertices.map(vertex => vertex.toPaperPoint()),
+    closed: this.closed
+  });
+};
+
+// Create an AffineMatrix from a 2D Paper.js Matrix
+AffineMatrix.fromPaperMatrix = (m) => AffineMatrix.fromAffine2D(m.a, m.b, m.c, m.d, m.tx, m.ty);
+
+// Get the 2D part of this matrix as a Paper.js Matrix
+AffineMatrix.prototype.toPaperMatrix = function () {
+  return new (paperClass('Matrix'))(...this.toAffine2D());
+};
+
+// Get a PathLite for a PathLite or Paper.js Path. A PathLite is returned
+// as is; a Paper.js Path is converted (see PathLite.fromPaperPath).
+const toPathLite = (path) =>
+  path instanceof PathLite ? path : PathLite.fromPaperPath(path);
+
+// Replace the vertices of a PathLite or the segments of a Paper.js Path
+// with `vertices` (a list of Vectors).
+const setPathVertices = (path, vertices) => {
+  if (path instanceof PathLite) {
+    path.vertices = vertices;
+  } else {
+    path.removeSegments(0, path.segments.length);
+    path.addSegments(vertices.map(vertex => vertex.toPaperPoint()));
+  }
+  return path;
+};
+
+// Transform a PathLite or Paper.js Path in place by an AffineMatrix `m`.
+// Paper.js handles are transformed along with the segment points.
+const transformPath = (path, m) => {
+  if (path instanceof PathLite) {
+    path.transform(m);
+  } else {
+    path.transform(m.toPaperMatrix());
+  }
+  return path;
+};
@@ -74,6 +74,17 @@
       restoreParent(self.root);
     }
 
+    // A packed VectorArray is indexed through live views of its points, so
+    // the coordinates aren't copied, though each point still gets a view
+    // object. Each view's `index` is its position.
+    if (typeof VectorArray !== 'undefined' && points instanceof VectorArray) {
+      var packed = points;
+      points = [];
+      for (var i = 0; i < packed.length; i += 1) {
+        points.push(packed.view(i));
+      }
+    }
+
     // If points is not an array, assume we're loading a pre-built tree
     if (!Array.isArray(points)) loadTree(points, metric, dimensions);
     else this.root = buildTree(points, 0, null);
@@ -0,0 +1,271 @@
+// Seeded noise in 2D, 3D and 4D: value, Perlin and simplex noise, with fBm,
+// ridged and turbulence octaves and domain warping.
+//
+// The permutation and value tables are drawn from an RNG, so noise is tied to
+// the token hash. Only arithmetic, Math.floor and Math.sqrt (which are exact
+// per IEEE 754) are used, so results are identical across browsers.
+//
+// Coordinates can be passed as numbers, arrays or Vectors, in any mix.
+// Arrays are flattened and a Vector contributes its x, y and z components.
+// Missing coordinates (undefined or null) are 0, and noise is at least 2D.
+// For example, noise.simplex(v) is 3D, noise.simplex(v, t) is 4D, and
+// noise.simplex(v.xy) or noise.simplex(x, y) is 2D.
+//
+// Simplex noise follows Stefan Gustavson's reference implementation:
+// https://weber.itn.liu.se/~stegu/simplexnoise/simplexnoise.pdf
+
+// Gradients for 2D and 3D (cube edge midpoints) and 4D (tesseract edges)
+const NOISE_GRAD_2 = [[1, 1], [-1, 1], [1, -1], [-1, -1], [1, 0], [-1, 0], [0, 1], [0, -1]];
+const NOISE_GRAD_3 = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+const NOISE_GRAD_4 = range(4).map(zero => range(2, 2, 2).map(signs => {
+  let g = signs.map(s => s * 2 - 1);
+  g.splice(zero, 0, 0);
+  return g;
+})).flat();
+
+// Fixed offsets that decorrelate the noise used for each warped dimension
+const NOISE_WARP_OFFSETS = [
+  [0, 0, 0, 0],
+  [5.2, 1.3, 2.8, 7.1],
+  [1.7, 9.2, 4.4, 3.3],
+  [8.3, 2.8, 6.1, 0.9]
+];
+
+class Noise {
+  // Create a noise generator with tables drawn from `rng`. By default, they're
+  // drawn from a fresh generator seeded like R's 'noise' substream, so every
+  // Noise created this way has the same tables for a token. For independent
+  // noise, pass another substream (e.g. R.stream('noise 2')).
+  constructor(rng = RNG.fromHash(R.stream('noise').hash, RNG_DERIVED_WARMUP_STEPS)) {
+    let p = rng.shuffle(range(256));
+    this.perm = range(512).map(i => p[i & 255]);
+    this.values = range(256).map(() => rng.num(-1, 1));
+  }
+
+  // Flatten arguments into a list of 2 to 4 coordinates
+  _coords(args) {
+    let coords = args
+      .map(a => a instanceof Vector ? a.xyz : a)
+      .flatRecursive()
+      .map(x => x == null ? 0 : x);
+    while (coords.length < 2) coords.push(0);
+    if (coords.length > 4) {
+      console.warn('Noise supports up to 4 dimensions; extra coordinates are ignored.');
+      coords = coords.splice(0, 4);
+    }
+    return coords;
+  }
+
+  // Hash integer lattice coordinates into [0, 256)
+  _hash(cell) {
+    let h = 0;
+    for (let d = cell.length - 1; d >= 0; d--) h = this.perm[(cell[d] & 255) + h];
+    return h;
+  }
+
+  // Interpolate `cornerValue(hash, offset)` over the corners of the lattice
+  // cell containing `p`, with quintic fading.
+  _lattice(p, cornerValue) {
+    let n = p.length;
+    let cell = p.map(Math.floor);
+    let f = p.map((x, d) => x - cell[d]);
+    let u = f.map(t => t * t * t * (t * (t * 6 - 15) + 10));
+    let result = 0;
+    for (let c = 0; c < (1 << n); c++) {
+      let weight = 1;
+      let corner = [];
+      let offset = [];
+      for (let d = 0; d < n; d++) {
+        let bit = (c >> d) & 1;
+        weight *= bit ? u[d] : 1 - u[d];
+        corner.push(cell[d] + bit);
+        offset.push(f[d] - bit);
+      }
+      result += weight * cornerValue(this._hash(corner), offset);
+    }
+    return result;
+  }
+
+  // Value noise, in the range [-1, 1]
+  value(...args) {
+    return this._lattice(this._coords(args), h => this.values[h]);
+  }
+
+  // Perlin (gradient) noise, roughly in the range [-1, 1]
+  perlin(...args) {
+    let p = this._coords(args);
+    let grads = [NOISE_GRAD_2, NOISE_GRAD_3, NOISE_GRAD_4][p.length - 2];
+    return this._lattice(p, (h, offset) =>
+      grads[h % grads.length].reduce((sum, g, d) => sum + g * offset[d], 0));
+  }
+
+  // Simplex noise, roughly in the range [-1, 1]
+  simplex(...args) {
+    let p = this._coords(args);
+    return [this._simplex2, this._simplex3, this._simplex4][p.length - 2].apply(this, p);
+  }
+
+  // Contribution of one simplex corner with gradient index `g` and offset `o`
+  _corner(t, grad, o) {
+    if (t < 0) return 0;
+    t *= t;
+    return t * t * grad.reduce((sum, g, d) => sum + g * o[d], 0);
+  }
+
+  _simplex2(x, y) {
+    const F2 = 0.5 * (Math.sqrt(3) - 1);
+    const G2 = (3 - Math.sqrt(3)) / 6;
+    let perm = this.perm;
+
+    // Skew to find the simplex cell, then unskew the cell origin
+    let s = (x + y) * F2;
+    let i = Math.floor(x + s);
+    let j = Math.floor(y + s);
+    let t = (i + j) * G2;
+    let x0 = x - (i - t);
+    let y0 = y - (j - t);
+
+    // Which of the two triangles are we in?
+    let [i1, j1] = x0 > y0 ? [1, 0] : [0, 1];
+    let x1 = x0 - i1 + G2, y1 = y0 - j1 + G2;
+    let x2 = x0 - 1 + 2 * G2, y2 = y0 - 1 + 2 * G2;
+
+    let ii = i & 255, jj = j & 255;
+    let g0 = NOISE_GRAD_3[perm[ii + perm[jj]] % 12];
+    let g1 = NOISE_GRAD_3[perm[ii + i1 + perm[jj + j1]] % 12];
+    let g2 = NOISE_GRAD_3[perm[ii + 1 + perm[jj + 1]] % 12];
+
+    return 70 * (
+      this._corner(0.5 - x0 * x0 - y0 * y0, g0.slice(0, 2), [x0, y0]) +
+      this._corner(0.5 - x1 * x1 - y1 * y1, g1.slice(0, 2), [x1, y1]) +
+      this._corner(0.5 - x2 * x2 - y2 * y2, g2.slice(0, 2), [x2, y2])
+    );
+  }
+
+  _simplex3(x, y, z) {
+    const F3 = 1 / 3;
+    const G3 = 1 / 6;
+    let perm = this.perm;
+
+    let s = (x + y + z) * F3;
+    let i = Math.floor(x + s);
+    let j = Math.floor(y + s);
+    let k = Math.floor(z + s);
+    let t = (i + j + k) * G3;
+    let x0 = x - (i - t);
+    let y0 = y - (j - t);
+    let z0 = z - (k - t);
+
+    // Which of the six tetrahedra are we in?
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 1, 0];
+      else if (x0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 0, 1];
+      else [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 1, 0, 1];
+    } else {
+      if (y0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 0, 1, 1];
+      else if (x0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 0, 1, 1];
+      else [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 1, 1, 0];
+    }
+
+    let o = [
+      [x0, y0, z0],
+      [x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3],
+      [x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3],
+      [x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3]
+    ];
+
+    let ii = i & 255, jj = j & 255, kk = k & 255;
+    let g = [
+      perm[ii + perm[jj + perm[kk]]],
+      perm[ii + i1 + perm[jj + j1 + perm[kk + k1]]],
+      perm[ii + i2 + perm[jj + j2 + perm[kk + k2]]],
+      perm[ii + 1 + perm[jj + 1 + perm[kk + 1]]]
+    ].map(h => NOISE_GRAD_3[h % 12]);
+
+    return 32 * o.reduce((sum, [a, b, c], n) =>
+      sum + this._corner(0.6 - a * a - b * b - c * c, g[n], o[n]), 0);
+  }
+
+  _simplex4(x, y, z, w) {
+    const F4 = (Math.sqrt(5) - 1) / 4;
+    const G4 = (5 - Math.sqrt(5)) / 20;
+    let perm = this.perm;
+
+    let s = (x + y + z + w) * F4;
+    let cell = [x, y, z, w].map(c => Math.floor(c + s));
+    let t = cell.sum() * G4;
+    let p0 = [x, y, z, w].map((c, d) => c - (cell[d] - t));
+
+    // Rank the coordinates to find which of the 24 simplices we're in
+    let rank = [0, 0, 0, 0];
+    choose2(range(4)).forEach(([a, b]) => rank[p0[a] > p0[b] ? a : b]++);
+
+    // Offsets of the corners, in simplex coordinates
+    let corners = [
+      [0, 0, 0, 0],
+      rank.map(r => r >= 3 ? 1 : 0),
+      rank.map(r => r >= 2 ? 1 : 0),
+      rank.map(r => r >= 1 ? 1 : 0),
+      [1, 1, 1, 1]
+    ];
+
+    let c = cell.map(i => i & 255);
+    return 27 * corners.reduce((sum, corner, n) => {
+      let o = p0.map((p, d) => p - corner[d] + n * G4);
+      let h = perm[c[0] + corner[0] + perm[c[1] + corner[1] +
+        perm[c[2] + corner[2] + perm[c[3] + corner[3]]]]];
+      let t = 0.6 - o.reduce((sum, i) => sum + i * i, 0);
+      return sum + this._corner(t, NOISE_GRAD_4[h % 32], o);
+    }, 0);
+  }
+
+  // Sum octaves of noise, each transformed by `f`. Options:
+  //  type        'simplex', 'perlin' or 'value'
+  //  octaves     number of octaves
+  //  lacunarity  frequency multiplier per octave
+  //  gain        amplitude multiplier per octave
+  // The sum is normalized by the total amplitude.
+  _octaves(p, f, { type = 'simplex', octaves = 4, lacunarity = 2, gain = 0.5 } = {}) {
+    let coords = this._coords([p]);
+    let sum = 0;
+    let amplitudeSum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    for (let i = 0; i < octaves; i++) {
+      sum += amplitude * f(this[type](coords.map(c => c * frequency)));
+      amplitudeSum += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+    return sum / amplitudeSum;
+  }
+
+  // Fractal Brownian motion, roughly in the range [-1, 1]
+  fbm(p, options) {
+    return this._octaves(p, n => n, options);
+  }
+
+  // Ridged noise, in the range [0, 1], with sharp crests where noise crosses 0
+  ridged(p, options) {
+    return this._octaves(p, n => (1 - Math.abs(n)) ** 2, options);
+  }
+
+  // Turbulence, in the range [0, 1], with sharp creases where noise crosses 0
+  turbulence(p, options) {
+    return this._octaves(p, n => Math.abs(n), options);
+  }
+
+  // Domain warping: fBm sampled at `p` displaced by fBm.
+  // `strength` scales the displacement; other options are passed to fbm().
+  warp(p, { strength = 1, ...options } = {}) {
+    let coords = this._coords([p]);
+    let displacement = coords.map((_, d) => this.fbm(
+      coords.map((c, e) => c + NOISE_WARP_OFFSETS[d][e]), options));
+    return this.fbm(coords.map((c, d) => c + strength * displacement[d]), options);
+  }
+}
@@ -0,0 +1,165 @@
+// Oriented Bounding Box (OBB), in 2D: a rectangle rotated by an angle.
+// Useful for rotated compositions and for packing elongated shapes, where an
+// AABB leaves a lot of empty space.
+//
+// Requires aabb.js, path-lite.js and path-ops.js to be loaded first.
+//
+// Example:
+//  let obb = OBB.fromPoints(path.vertices); // minimum-area bounding rectangle
+//  obb.contains(new Vector(1, 2));
+//  obb.toPathLite();
+
+// Sign of `x`, or 0 if it is within `tolerance` of 0
+const obbSign = (x, tolerance) => Math.abs(x) <= tolerance ? 0 : Math.sign(x);
+
+class OBB {
+
+  // Create an OBB
+  //  center      centroid (vector)
+  //  halfSizes   half of the width and height (vector), along the box's axes
+  //  angle       rotation of the box's width axis from the x axis, in radians
+  constructor(center = new Vector(), halfSizes = new Vector(), angle = 0) {
+    let _ = this;
+    _.center = center.copy();
+    _.halfSizes = new Vector(halfSizes.x, halfSizes.y);
+    _.angle = angle;
+  }
+
+  // Create the minimum-area OBB of a list of Vectors or [x, y] arrays, by
+  // rotating calipers over their convex hull. One side of the box is always
+  // collinear with an edge of the hull.
+  static fromPoints(points) {
+    let h = calcPointsConvexHull(points);
+    let m = h.length;
+    if (m == 0) return new OBB();
+    if (m == 1) return new OBB(h[0]);
+    if (m == 2) {
+      return new OBB(h[0].lerp(h[1], 0.5), new Vector(h[0].dist(h[1]) / 2, 0), h[1].sub(h[0]).heading());
+    }
+
+    let dot = (p, d) => p.x * d.x + p.y * d.y;
+    let best = null;
+    // Indices of the hull points that are furthest right (along the edge),
+    // top (away from the edge) and left. They only advance as the calipers
+    // rotate counterclockwise around the hull.
+    let r = 1, t = 1, l = 1;
+    for (let i = 0; i < m; i++) {
+      let e = h[(i + 1) % m].sub(h[i]).normalize();
+      let n = new Vector(-e.y, e.x); // points into the hull
+      while (dot(h[(r + 1) % m], e) > dot(h[r], e)) r = (r + 1) % m;
+      if (i == 0) t = r;
+      while (dot(h[(t + 1) % m], n) > dot(h[t], n)) t = (t + 1) % m;
+      if (i == 0) l = t;
+      while (dot(h[(l + 1) % m], e) < dot(h[l], e)) l = (l + 1) % m;
+
+      let width = dot(h[r], e) - dot(h[l], e);
+      let height = dot(h[t], n) - dot(h[i], n);
+      if (best == null || width * height < best.area) {
+        best = { area: width * height, i, e, n, r, t, l, width, height };
+      }
+    }
+
+    let { e, n } = best;
+    let [right, top, left, origin] = [best.r, best.t, best.l, best.i].map(j => h[j]);
+    let center = origin
+      .add(e.mult((dot(right, e) + dot(left, e)) / 2 - dot(origin, e)))
+      .add(n.mult((dot(top, n) - dot(origin, n)) / 2));
+    return new OBB(center, new Vector(best.width / 2, best.height / 2), e.heading());
+  }
+
+  // Create from an AABB (bounds in x and y)
+  static fromAABB(b) {
+    return new OBB(b.centroid(), b.dims().div(2), 0);
+  }
+
+  // Copy
+  copy() {
+    return new OBB(this.center, this.halfSizes, this.angle);
+  }
+
+  // Unit vectors along the width and height of the box
+  axes() {
+    let u = Vector.fromAngle(this.angle);
+    return [u, new Vector(-u.y, u.x)];
+  }
+
+  // Dimensions of box (width, height)
+  dims() {
+    return this.halfSizes.mult(2);
+  }
+
+  area() {
+    return this.halfSizes.x * this.halfSizes.y * 4;
+  }
+
+  // Get the four corners, counterclockwise (with the y axis up)
+  corners() {
+    let [u, v] = this.axes().map((a, i) => a.mult(this.halfSizes.array()[i]));
+    return [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+      .map(([i, j]) => this.center.add(u.mult(i)).add(v.mult(j)));
+  }
+
+  // Tolerance of contains() and intersects(), scaled to the size of the box
+  // so that the OBB of a point set contains all of its points despite
+  // rounding
+  _tolerance() {
+    return Vector.epsilon * Math.max(this.halfSizes.x, this.halfSizes.y);
+  }
+
+  // Check if this OBB contains a vector `p` (in x and y), within a tolerance.
+  // Returns:
+  //  -1  outside
+  //  0   on edge
+  //  1   inside
+  contains(p) {
+    let d = new Vector(p.x - this.center.x, p.y - this.center.y);
+    let tolerance = this._tolerance();
+    return this.axes()
+      .map((a, i) => obbSign(this.halfSizes.array()[i] - Math.abs(d.dot(a)), tolerance))
+      .reduce((res, s) => Math.min(res, s), 1);
+  }
+
+  // Does this OBB intersect with another OBB or an AABB `b`? Uses the
+  // separating axis theorem: the boxes are disjoint if their projections
+  // onto one of their axes don't overlap (within a tolerance).
+  // Returns:
+  //  -1    no intersection
+  //  0     edge or point intersection
+  //  1     overlapping area
+  intersects(b) {
+    b = b instanceof AABB ? OBB.fromAABB(b) : b;
+    let cornersA = this.corners();
+    let cornersB = b.corners();
+    let tolerance = Math.max(this._tolerance(), b._tolerance());
+    return this.axes().concat(b.axes())
+      .reduce((res, axis) => {
+        let [a0, a1] = minmax(...cornersA.map(c => c.dot(axis)));
+        let [b0, b1] = minmax(...cornersB.map(c => c.dot(axis)));
+        return Math.min(res, obbSign(Math.min(a1, b1) - Math.max(a0, b0), tolerance));
+      }, 1);
+  }
+
+  // Get the AABB enclosing this OBB
+  toAABB() {
+    return new AABB(this.corners());
+  }
+
+  // Get the outline as a closed PathLite
+  toPathLite() {
+    let path = new PathLite(this.corners());
+    path.closed = true;
+    return path;
+  }
+
+  toJSON() {
+    return { $type: 'OBB', center: this.center, halfSizes: this.halfSizes, angle: this.angle };
+  }
+
+  // Create from an object with `center`, `halfSizes` and `angle` (e.g. parsed
+  // from toJSON())
+  static fromJSON(o) {
+    return new OBB(Vector.fromJSON(o.center), Vector.fromJSON(o.halfSizes), o.angle);
+  }
+}
+
+if (typeof registerType !== 'undefined') registerType('OBB', OBB);
@@ -2,6 +2,8 @@
 // In the context of this path, a segment is a line connecting two points.
 // This path only supports 2D paths. Z components will result in undefined 
 // behaviors.
+// Vertices can be set from a packed VectorArray, which stays packed: lengths
+// are measured over its typed arrays, and `vertices` are live views into it.
 class PathLite {
   // Contruct a lite path from vertices (a list of objects of type Vertex)
   constructor(vertices=[]) {
@@ -52,6 +54,10 @@ class PathLite {
 
   get vertices() {
     this._cleanVertices();
+    // Views of packed vertices are only made when needed
+    if (this._vertices == null) {
+      this._vertices = range(this._packed.length).map(i => this._packed.view(i));
+    }
     return this._vertices;
   }
 
@@ -64,7 +70,8 @@ class PathLite {
   }
 
   get nVertices() {
-    return this.vertices.length;
+    this._cleanVertices();
+    return this._packed ? this._packed.length : this._vertices.length;
   }
 
   get nSegments() {
@@ -88,13 +95,28 @@ class PathLite {
     if (this._vertices_dirty) {
       this._vertices_dirty = false;
       // Make a workable copy of vertices, removing z components if requested.
-      this._vertices = this._vertices_original.map(i => this.useZ ? i.copy() : i.copy().copy('xy'));
+      if (this._isPacked()) {
+        this._packed = this._vertices_original.copy();
+        if (!this.useZ) this._packed.z.fill(0);
+        this._vertices = null;
+      } else {
+        this._packed = null;
+        this._vertices = this._vertices_original.map(i => this.useZ ? i.copy() : i.copy().copy('xy'));
+      }
     }
   }
 
+  // Were the vertices set from a packed VectorArray?
+  _isPacked() {
+    return typeof VectorArray !== 'undefined' && this._vertices_original instanceof VectorArray;
+  }
+
   set vertices(value) {
     // Make all incoming vertices of type Vector, copying non-destructively.
-    this._vertices_original = value.map(i => i instanceof Vector ? i.copy() : new Vector(...i));
+    // A packed VectorArray is copied as a VectorArray.
+    this._vertices_original = typeof VectorArray !== 'undefined' && value instanceof VectorArray
+      ? value.copy()
+      : value.map(i => i instanceof Vector ? i.copy() : new Vector(...i));
 
     // Flag that vertices need to be re-set.
     this._flagVerticesDirty();
@@ -128,8 +150,9 @@ class PathLite {
   _cleanLength() {
     if (this._length_dirty) {
       this._length_dirty = false;
+      this._cleanVertices();
       [this._length, this._length_segments] = 
-        calcPathLength(this.vertices, this.closed, true, this.lengthMetric);
+        calcPathLength(this._packed || this._vertices, this.closed, true, this.lengthMetric);
       this._length_segments_cumulative = this._length_segments.cumulativeSum();
     }
   }
@@ -245,7 +268,7 @@ class PathLite {
         if (index == lastIndex) return null;
 
         // Otherwise, check if this index is different from the point of interest
-        if (this.vertices.at(index).hash() != mi.hash()) return this.vertices.at(index);
+        if (!this.vertices.at(index).equalsApprox(mi)) return this.vertices.at(index);
 
         // Save this index
         lastIndex = index;
@@ -332,6 +355,36 @@ class PathLite {
     });
   }
 
+  // Transform all vertices by an AffineMatrix `m`
+  transform(m) {
+    this._cleanVertices();
+    this.vertices = this._packed
+      ? this._packed.transformSelf(m)
+      : this.vertices.map(vertex => m.transformPoint(vertex));
+    return this;
+  }
+
+  toJSON() {
+    return {
+      $type: 'PathLite',
+      vertices: this._isPacked() ? this._vertices_original.toVectors() : this._vertices_original,
+      closed: this.closed,
+      useZ: this.useZ,
+      lengthMetric: this.lengthMetric
+    };
+  }
+
+  // Create from an object parsed from toJSON()
+  static fromJSON(o) {
+    let path = new PathLite();
+    // useZ needs to be set before vertices
+    path.useZ = o.useZ;
+    path.vertices = o.vertices.map(vertex => Vector.fromJSON(vertex));
+    path.closed = o.closed;
+    path.lengthMetric = o.lengthMetric;
+    return path;
+  }
+
   // Remove identical neighboring vertices 
   _removeDuplicateVertices() {
     this.vertices = removeDupPointsFromPath(this.vertices, this.closed);
@@ -357,4 +410,6 @@ class PathLite {
     // Release all utilized resources
   }
 
-}
\ No newline at end of file
+}
+
+if (typeof registerType !== 'undefined') registerType('PathLite', PathLite);
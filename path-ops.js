@@ -1,3 +1,8 @@
+// Operations on paths and points. Paths can be PathLite's or Paper.js Paths.
+//
+// Requires helpers.js, vector.js, vector-map.js, affine-matrix.js, aabb.js,
+// path-lite.js, bvh.js and interop.js to be loaded first (see the README).
+
 // Determine whether a point is inside a polygon. 
 // This works well, except when the point lies on the polygon.
 // In that case, behavior is undefined.
@@ -25,6 +30,60 @@ function pointInPolygon(_point, _vs) {
   return inside;
 };
 
+// Triangulate a simple polygon (in 2D) by ear clipping.
+// `_vs` is a list of Vectors or [x, y] arrays, in either winding order.
+// Returned is a list of triangles, each a list of three Vectors, that 
+// together cover the same area as the polygon tested by pointInPolygon.
+// Self-intersecting polygons are only partially triangulated.
+const triangulatePolygon = (_vs) => {
+
+  let vs = _vs.map(v => v instanceof Vector ? v : new Vector(...v));
+
+  // Twice the signed area of the triangle abc (positive when counterclockwise)
+  let cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+
+  // The winding of the polygon determines which corners are convex.
+  let winding = Math.sign(range(vs.length)
+    .map(i => vs[i].x * vs.at(i+1).y - vs.at(i+1).x * vs[i].y)
+    .sum()) || 1;
+
+  // Is point p inside or on the edge of triangle abc?
+  let inTriangle = (p, a, b, c) => 
+    cross(a, b, p) * winding >= 0 && 
+    cross(b, c, p) * winding >= 0 && 
+    cross(c, a, p) * winding >= 0;
+
+  let triangles = [];
+  let indices = range(vs.length);
+  while (indices.length > 3) {
+
+    // Find the next ear: a convex corner with no other vertex inside it.
+    let earIndex = indices.findIndex((index, i) => {
+      let [a, b, c] = [indices.at(i-1), index, indices.at(i+1)].map(j => vs[j]);
+      let corner = cross(a, b, c) * winding;
+      if (corner == 0) return true; // degenerate corners are clipped without area
+      if (corner < 0) return false; // reflex corner
+      return !indices.some(j => 
+        !vs[j].equals(a) && !vs[j].equals(b) && !vs[j].equals(c) && 
+        inTriangle(vs[j], a, b, c)
+      );
+    });
+
+    // No ear can be found when the polygon self-intersects.
+    if (earIndex < 0) break;
+
+    let triangle = [earIndex-1, earIndex, earIndex+1].map(i => vs[indices.at(i)]);
+    if (cross(...triangle) != 0) triangles.push(triangle);
+    indices.splice(earIndex, 1);
+  }
+  if (indices.length == 3) {
+    let triangle = indices.map(i => vs[i]);
+    if (cross(...triangle) != 0) triangles.push(triangle);
+  }
+
+  return triangles;
+}
+
 // Calculate the convex hull of an ordered list of Vectors or Nodes.
 // You must also provide the pocket requesting this hull.
 // Assumes vectors are provided in order of the resulting hull.
@@ -48,7 +107,7 @@ const calcConvexHull = (samplesRaw, requestFromPocket=null) => {
     // Find the average angle to all remaining vectors.
     // This angle will serve as the reference angle we use to calculate the 
     // max angle for each sample.
-    let dirRef = (new Vector()).fromAngle(wrappedAverage(
+    let dirRef = Vector.fromAngle(wrappedAverage(
       samples.map(sample => sample.sub(hull.at(-1)).heading())
       , 2*Math.PI
     ));
@@ -126,6 +185,108 @@ const calcConvexHull = (samplesRaw, requestFromPocket=null) => {
   return hull;
 }
 
+// Calculate the convex hull (in 2D) of an unordered list of Vectors or
+// [x, y] arrays, using Andrew's monotone chain algorithm.
+// Unlike calcConvexHull, the points can be in any order.
+// Returned is a list of the hull's vertices in counterclockwise order,
+// without collinear points. Fewer than three points are returned as is.
+const calcPointsConvexHull = (_points) => {
+
+  let points = _points
+    .map(p => p instanceof Vector ? p : new Vector(...p))
+    .sort((a, b) => a.x - b.x || a.y - b.y)
+    .filter((p, i, a) => i == 0 || p.x != a[i-1].x || p.y != a[i-1].y);
+  if (points.length < 3) return points;
+
+  // Twice the signed area of the triangle abc (positive when counterclockwise)
+  let cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+
+  // Build the lower and upper chains, dropping points that don't turn left
+  let chain = (points) => points.reduce((chain, p) => {
+    while (chain.length >= 2 && cross(chain.at(-2), chain.at(-1), p) <= 0) chain.pop();
+    chain.push(p);
+    return chain;
+  }, []);
+  let lower = chain(points);
+  let upper = chain(points.slice().reverse());
+
+  // The last point of each chain is the first of the other
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+// Calculate the minimum enclosing sphere of a list of Vectors with Welzl's
+// algorithm (in its iterative form).
+//  rng   RNG to shuffle the points with. Expected time is linear when the
+//        points are shuffled. Without an RNG, the points are visited in a
+//        fixed scattered order, which avoids drawing from the global RNG and
+//        is fast for paths and grids, but has no such bound.
+// Returned is an object of the form { center : Vector, radius : Number },
+// which can be passed to the AABB sphere constructor.
+// Returns null if there are no points.
+const calcMinEnclosingSphere = (_points, rng = null) => {
+  if (_points.length == 0) return null;
+
+  // Visit the points in a random or scattered order, since paths and grids
+  // are the worst case for points in their natural order.
+  let n = _points.length;
+  let stride = [7919, 104729, 1299709].find(s => n % s != 0);
+  let points = rng ? rng.shuffle(_points) : range(n).map(i => _points[(i * stride) % n]);
+
+  // Tolerance of containment, relative to the scale of the points
+  let eps = Vector.epsilon * points.reduce(
+    (m, p) => Math.max(m, Math.abs(p.x) + Math.abs(p.y) + Math.abs(p.z)), 1);
+  let contains = (s, p) => s.center.dist(p) <= s.radius + eps;
+
+  // Smallest spheres with 1 to 4 points on the boundary
+  let sphere1 = (a) => ({ center: a.copy(), radius: 0 });
+  let sphere2 = (a, b) => ({ center: a.lerp(b, 0.5), radius: a.dist(b) / 2 });
+  let sphere3 = (a, b, c) => {
+    let u = b.sub(a), v = c.sub(a), n = u.cross(v);
+    let d = 2 * n.magSq();
+    if (d < eps * eps) return null; // collinear
+    let center = a.add(n.cross(u).mult(v.magSq()).add(v.cross(n).mult(u.magSq())).div(d));
+    return { center, radius: center.dist(a) };
+  };
+  let sphere4 = (a, b, c, d) => {
+    let u = b.sub(a), v = c.sub(a), w = d.sub(a);
+    let det = 2 * u.dot(v.cross(w));
+    if (Math.abs(det) < eps * eps * eps) return null; // coplanar
+    let center = a.add(v.cross(w).mult(u.magSq())
+      .add(w.cross(u).mult(v.magSq()))
+      .add(u.cross(v).mult(w.magSq()))
+      .div(det));
+    return { center, radius: center.dist(a) };
+  };
+
+  // Grow the sphere for each point outside it, with that point (and any
+  // earlier ones found outside) on its boundary.
+  let s = sphere1(points[0]);
+  for (let i = 1; i < n; i++) {
+    if (contains(s, points[i])) continue;
+    s = sphere1(points[i]);
+    for (let j = 0; j < i; j++) {
+      if (contains(s, points[j])) continue;
+      s = sphere2(points[i], points[j]);
+      for (let k = 0; k < j; k++) {
+        if (contains(s, points[k])) continue;
+        s = sphere3(points[i], points[j], points[k]) || s;
+        for (let l = 0; l < k; l++) {
+          if (contains(s, points[l])) continue;
+          s = sphere4(points[i], points[j], points[k], points[l]) || s;
+        }
+      }
+    }
+  }
+  return s;
+}
+
+// Calculate the minimum enclosing circle (in 2D) of a list of Vectors or
+// [x, y] arrays. z is ignored. See calcMinEnclosingSphere for `rng`.
+// Returned is an object of the form { center : Vector, radius : Number },
+// or null if there are no points.
+const calcMinEnclosingCircle = (points, rng = null) => calcMinEnclosingSphere(
+  points.map(p => p instanceof Vector ? new Vector(p.x, p.y) : new Vector(p[0], p[1])), rng);
+
 // Can a point be projected onto a line segment (in 2D)? 
 // If so, how far away is it?
 // All args are of type Vector.
@@ -243,13 +404,39 @@ const removeColinearPointsFromPath = (samples, closed=false) => {
   return newSamples;
 }
 
+// Get the segment lengths of a path defined by a VectorArray, looping over
+// its typed arrays without creating Vectors. `distPattern` works as in
+// Vector.dist(), e.g. 'xy' measures in the XY plane.
+const calcVectorArraySegmentLengths = (samples, closed=false, distPattern=null) => {
+  let components = (distPattern || 'xyz')
+    .toLowerCase()
+    .substring(0, 3)
+    .split('')
+    .filter(c => 'xyz'.includes(c))
+    .map(c => samples[c]);
+  let n = samples.length;
+  let nSegments = n == 0 ? 0 : closed ? n : n - 1;
+  let lengths = new Array(nSegments);
+  for (let i = 0; i < nSegments; i++) {
+    let j = (i + 1) % n;
+    let sum = 0;
+    for (let c = 0; c < components.length; c++) {
+      let d = components[c][j] - components[c][i];
+      sum += d * d;
+    }
+    lengths[i] = Math.sqrt(sum);
+  }
+  return lengths;
+}
+
 // Get the length of a path defined by a list of points.
 // This function does not depend on paper.js.
-// `samples` should be a list of Vectors.
+// `samples` should be a list of Vectors or a VectorArray.
 const calcPathLength = (samples, closed=false, returnAll=false, distPattern=null) => {
   // Calculate all segment lengths.
-  let allLengths = 
-  (closed ? samples : [...samples].splice(0, samples.length-1))
+  let allLengths = typeof VectorArray !== 'undefined' && samples instanceof VectorArray
+  ? calcVectorArraySegmentLengths(samples, closed, distPattern)
+  : (closed ? samples : [...samples].splice(0, samples.length-1))
   .map((sample, sampleIndex) => 
     sample.dist(samples.at(sampleIndex+1), distPattern)
   );
@@ -264,32 +451,28 @@ const calcPathLength = (samples, closed=false, returnAll=false, distPattern=null
 }
 
 // Subdivide the provided path into `nSegments` segments.
-// `path` can be of type PathLite or Paper.Path.
-const subdividePath = (path, nSegments) => {
+// `path` can be of type PathLite or Paper.Path. Points are spaced along the
+// curves of a Paper.Path, unless `followCurves` is false, in which case its
+// handles are ignored and points are spaced along its straight segments.
+const subdividePath = (path, nSegments, followCurves=true) => {
+
+  let curved = followCurves && !(path instanceof PathLite);
+  let sampled = curved ? path : toPathLite(path);
 
   let newSegments = range(nSegments).map(segmentIndex => {
-    let param = segmentIndex / (nSegments - (path.closed ? 0 : 1));
-    return path.getPointAt(param * path.length);
+    let param = segmentIndex / (nSegments - (sampled.closed ? 0 : 1));
+    let point = sampled.getPointAt(param * sampled.length);
+    return curved ? Vector.fromPaperPoint(point) : point;
   });
 
-  if (path instanceof PathLite) {
-
-    path.vertices = newSegments;
-
-  } else { // Paper.Path
-    
-    path.removeSegments(0, path.segments.length);
-    path.addSegments(newSegments);
-  }
-
-  return path;
+  return setPathVertices(path, newSegments);
 }
 
 // Smooth the provided path nIterations times.
 // Accepts paths of type PathLite and Paper.Path
 const smoothPath = (path, radius, nIterations, weights=null) => {
 
-  let usePathLite = path instanceof PathLite;
+  let pathLite = toPathLite(path);
 
   // Pre-calculate index of index offsets
   let indexOffsets = [[0], range(radius).map(r => [-(r+1), r+1])].flat(2);
@@ -304,49 +487,42 @@ const smoothPath = (path, radius, nIterations, weights=null) => {
   range(nIterations).forEach(() => {
 
     // Extract new points
-    let newSegments = 
-    range(usePathLite ? path.vertices.length : path.segments.length)
-    .map(segmentIndex => {
+    let vertices = pathLite.vertices;
+    let newVertices = range(vertices.length)
+    .map(vertexIndex => {
 
       // Calculate the average weighted point and return it
       let [avgPoint, weightSum] = range(1+2*radius).reduce(([point, weightSum], i) => {
         // Get the point at this index offset
-        let thisPoint = usePathLite
-          ? path.vertices.at(segmentIndex + indexOffsets[i])
-          : path.segments.at(segmentIndex + indexOffsets[i]).point;
+        let thisPoint = vertices.at(vertexIndex + indexOffsets[i]);
         // Get the supplied weight
-        let weightUser = weights==null ? 1 : weights.at(segmentIndex + indexOffsets[i]);
+        let weightUser = weights==null ? 1 : weights.at(vertexIndex + indexOffsets[i]);
         // Calculate the weight at this index
         let weight = indexOffsetWeights[i] * weightUser;
         // Accumulate the average
         point.x += thisPoint.x * weight;
         point.y += thisPoint.y * weight;
-        if (usePathLite) point.z += thisPoint.z * weight;
+        point.z += thisPoint.z * weight;
         // Accumulate the total weight
         weightSum += weight;
         return [point, weightSum];
-      }, [
-        usePathLite ? new Vector() : new Point(), 
-        0
-      ]);
+      }, [new Vector(), 0]);
       
       // Average the average point
       avgPoint.x = safeDivide(avgPoint.x, weightSum);
       avgPoint.y = safeDivide(avgPoint.y, weightSum);
-      if (usePathLite) avgPoint.z = safeDivide(avgPoint.z, weightSum);
+      avgPoint.z = safeDivide(avgPoint.z, weightSum);
       
       return avgPoint;
     });
 
-    // Replace the old segments with these
-    if (path instanceof PathLite) {
-      path.vertices = newSegments;
-    } else {
-      path.removeSegments(0, path.segments.length);
-      path.addSegments(newSegments);  
-    }
+    // Replace the old vertices with these
+    pathLite.vertices = newVertices;
   });
 
+  // Write the result back to a Paper.Path
+  if (pathLite !== path) setPathVertices(path, pathLite.vertices);
+
   return path;
 }
 
@@ -361,30 +537,12 @@ const fitPathInsideRect = (path, aabbFrom, aabbTo) => {
   let rangeTo = Math.min(aabbTo.dims().x, aabbTo.dims().y);
   let xTo = (aabbTo.min.x + aabbTo.max.x) / 2;
   let yTo = (aabbTo.min.y + aabbTo.max.y) / 2;
-    
-  if (path instanceof PathLite) {
-
-    path.vertices = path.vertices.map(vertex => 
-      vertex
-        .add(-xFrom, -yFrom)
-        .mult(1/rangeFrom)
-        .mult(rangeTo)
-        .add(xTo, yTo)
-    );
-
-  } else {
-
-    let mat = (new Matrix())
-      .translate(xTo, yTo)
-      .scale(rangeTo)
-      .scale(1/rangeFrom)
-      .translate(-xFrom, -yFrom);
-    path.segments.forEach(segment => {
-      segment.transform(mat);
-    });
-  }
 
-  return path; //(1/rangeFrom)/rangeTo;
+  return transformPath(path, (new AffineMatrix())
+    .translate(xTo, yTo)
+    .scale(rangeTo / rangeFrom)
+    .translate(-xFrom, -yFrom)
+  );
 }
 
 // Given a set of points and a path, order points along
@@ -646,44 +804,37 @@ const getSegmentsIntersection = (a, b, p, q) => {
 	return new Vector(x,y);
 }
 
+// Get pairs of segments among PathLite's whose bounds overlap, using a BVH
+// as the broad phase. Neighboring segments of the same path are skipped.
+// Returned is a list of pairs of objects with props:
+// {
+//    path : PathLite
+//    index : Number (index of the segment in the path)
+//    segment : [Vertex, Vertex]
+// }
+// Pairs are ordered by path and segment index.
+const getCandidateSegmentPairs = (paths) => {
+  let items = paths
+    .map(path => path.segments.map((segment, index) => ({ path, index, segment })))
+    .flat();
+  items.forEach((item, order) => item.order = order);
+  let bvh = new BVH(items, item => new AABB(item.segment));
+  return bvh.pairs()
+    .filter(([a, b]) =>
+      a.path != b.path || absWrappedDiff(a.index, b.index, a.path.nSegments) > 1)
+    .map(pair => pair.sort((a, b) => a.order - b.order))
+    .sort(([a0, b0], [a1, b1]) => a0.order - a1.order || b0.order - b1.order);
+}
+
 // Count the number of intersections between a set of closed paths.
 // Self-intersections count.
 // Touching counts as an intersection.
 // `paths` should be a list of objects of type `PathLite`
 // TODO: Make this work for non-closed paths.
 const countPathIntersections = (paths) => {
-  
-  let ixnCount = 0;
-
-  // Iterate over all paths
-  paths.forEach(pathA => {
-
-    // Count self-intersections
-    let segmentsA = pathA.lineSegments;
-    segmentsA.forEach((segment0, segment0Index) => {
-      segmentsA.forEach((segment1, segment1Index) => {
-        if (absWrappedDiff(segment0Index, segment1Index, segmentsA.length) > 1) {
-          // Check for ixn
-          if (segmentsIntersect(...segment0, ...segment1) >= 0) ixnCount++;
-        }
-      });
-    });
-
-    // Count intersections with other paths
-    paths
-    .filter(pathB => pathB != pathA)
-    .forEach(pathB => {
-      let segmentsB = pathB.lineSegments;
-      segmentsA.forEach(segment0 => {
-        segmentsB.forEach(segment1 => {
-          if (segmentsIntersect(...segment0, ...segment1) >= 0) ixnCount++;
-        })
-      })
-
-    });
-  });
-
-  return ixnCount/2;
+  return getCandidateSegmentPairs(paths)
+    .filter(([a, b]) => segmentsIntersect(...a.segment, ...b.segment) >= 0)
+    .length;
 }
 
 // Calculate and return intersections among a set of PathLite's.
@@ -698,7 +849,9 @@ const getPathsIntersections = (paths) => {
   //    offset : Number
   //    intersection : curveLocation
   // }
-  let hashToCurveLocations = {};
+  // Intersections are keyed by approximate position, so the same
+  // intersection computed from neighboring segments is only saved once.
+  let intersections = new VectorMap();
 
   // Helper method for checking for intersection and saving it if it's new
   let checkForIxn = (segment0, segment1, pathA, pathB, segment0Index, segment1Index) => {
@@ -707,10 +860,10 @@ const getPathsIntersections = (paths) => {
     let ixnPoint = getSegmentsIntersection(...segment0, ...segment1);
     if (ixnPoint == null) return;
 
+    // If there's already this intersection, then return.
+    if (intersections.has(ixnPoint)) return;
     // Calculate the hash for this intersection
     let ixnPointHash = ixnPoint.hash();
-    // If there's already this intersection, then return.
-    if (ixnPointHash in hashToCurveLocations) return;
 
     // Create a curveLocation for both sides of the intersection.
     let curveLocationA = {
@@ -731,34 +884,12 @@ const getPathsIntersections = (paths) => {
     curveLocationB.intersection = curveLocationA;
 
     // Save the curveLocations
-    hashToCurveLocations[ixnPointHash] = [curveLocationA, curveLocationB];
+    intersections.set(ixnPoint, [curveLocationA, curveLocationB]);
   }
 
-  // Iterate over all paths
-  paths.forEach(pathA => {
-
-    // Count self-intersections
-    let segmentsA = pathA.lineSegments;
-    segmentsA.forEach((segment0, segment0Index) => {
-      segmentsA.forEach((segment1, segment1Index) => {
-        // If the segments are not neighbors, then check for intersection.
-        if (absWrappedDiff(segment0Index, segment1Index, segmentsA.length) > 1) {
-          checkForIxn(segment0, segment1, pathA, pathA, segment0Index, segment1Index);
-        }
-      });
-    });
-
-    // Count intersections with other paths
-    paths
-    .filter(pathB => pathB != pathA)
-    .forEach(pathB => {
-      let segmentsB = pathB.lineSegments;
-      segmentsA.forEach((segment0, segment0Index) => {
-        segmentsB.forEach((segment1, segment1Index) => {
-          checkForIxn(segment0, segment1, pathA, pathB, segment0Index, segment1Index);
-        })
-      })
-    });
+  // Check all pairs of segments with overlapping bounds
+  getCandidateSegmentPairs(paths).forEach(([a, b]) => {
+    checkForIxn(a.segment, b.segment, a.path, b.path, a.index, b.index);
   });
 
   // Return pairs of intersections of the form:
@@ -767,5 +898,5 @@ const getPathsIntersections = (paths) => {
   //    [ curveLocation, curveLocation ],  // this is another intersection
   //    ...
   // ]
-  return Object.values(hashToCurveLocations);
+  return intersections.values();
 }
\ No newline at end of file
@@ -0,0 +1,113 @@
+// Poisson-disk (blue noise) sampling in 2D, after Bridson's algorithm:
+// https://www.cs.ubc.ca/~rbridson/docs/bridson-siggraph07-poissondisk.pdf
+//
+// Points are drawn from an RNG, so the result is reproducible from the token
+// hash. Neighbors are rejected with a background grid. (A kdTree built by 
+// incremental insertion degenerates here, since samples are added in 
+// spatially coherent order.)
+
+// Sample points inside `region` that are spaced at least `radius` apart.
+//  region    AABB, PathLite or list of polygon vertices
+//  radius    minimum spacing, either a number or a function r(p) of a Vector.
+//            With a function, each new point p is at least r(p) away from
+//            all points sampled before it. Throws an Error if a radius
+//            isn't a positive, finite number. Radii that approach 0 place
+//            ever more points, so cap them with `maxPoints`.
+// Options:
+//  k         number of candidates tried around each point before it is retired
+//  rng       RNG to draw from
+//  start     first point (default: a random point inside the region)
+//  maxPoints maximum number of points to return
+// Returned is a list of Vectors, in the order they were sampled.
+const samplePoissonDisk = (region, radius, {
+  k = 30,
+  rng = R,
+  start = null,
+  maxPoints = Number.POSITIVE_INFINITY
+} = {}) => {
+
+  // The radius must be positive and finite, or sampling would never end
+  let radiusOf = radius instanceof Function ? radius : () => radius;
+  let radiusAt = (p) => {
+    let r = radiusOf(p);
+    if (!(r > 0 && Number.isFinite(r))) {
+      throw new Error('samplePoissonDisk: radius must be a positive, finite number; got ' + r + '.');
+    }
+    return r;
+  };
+
+  // Test whether points lie inside the region and pick a random start
+  let contains, randomPoint;
+  if (region instanceof AABB) {
+    contains = p => 
+      p.x >= region.min.x && p.x <= region.max.x && 
+      p.y >= region.min.y && p.y <= region.max.y;
+    randomPoint = () => rng.inAABB(region);
+  } else {
+    let vertices = region instanceof PathLite ? region.vertices : region;
+    contains = p => pointInPolygon(p, vertices);
+    randomPoint = rng.polygonSampler(vertices);
+  }
+
+  start = start ? start.copy() : randomPoint();
+  if (start == null || !contains(start) || maxPoints < 1) return [];
+
+  // Background grid with cells the size of the starting radius, mapping cell
+  // hashes to the points inside them.
+  let cellSize = radiusAt(start);
+  let grid = {};
+  let cellOf = p => [Math.floor(p.x / cellSize), Math.floor(p.y / cellSize)];
+  let insert = p => {
+    let key = cellOf(p).join(',');
+    (grid[key] = grid[key] || []).push(p);
+  };
+  // Is any point closer than `r` to `p`?
+  let hasNeighbor = (p, r) => {
+    let [cx, cy] = cellOf(p);
+    let n = Math.ceil(r / cellSize);
+    for (let i = cx - n; i <= cx + n; i++) {
+      for (let j = cy - n; j <= cy + n; j++) {
+        let cell = grid[i + ',' + j];
+        if (cell && cell.some(q => (q.x - p.x) ** 2 + (q.y - p.y) ** 2 < r * r)) return true;
+      }
+    }
+    return false;
+  };
+
+  insert(start);
+  let points = [start];
+  let active = [start];
+
+  while (active.length > 0 && points.length < maxPoints) {
+
+    // Choose a random active point
+    let index = Math.floor(rng.dec() * active.length);
+    let point = active[index];
+    let r = radiusAt(point);
+
+    // Try candidates in the annulus between r and 2r around it
+    let found = false;
+    for (let i = 0; i < k; i++) {
+      let candidate = point.add(Vector.fromAngle(
+        rng.num(0, 2 * Math.PI),
+        Math.sqrt(rng.num(r * r, 4 * r * r))
+      ));
+      if (!contains(candidate)) continue;
+      if (hasNeighbor(candidate, radiusAt(candidate))) continue;
+
+      insert(candidate);
+      points.push(candidate);
+      active.push(candidate);
+      found = true;
+      break;
+    }
+
+    // Retire this point once its neighborhood is full
+    if (!found) {
+      active[index] = active.at(-1);
+      active.pop();
+    }
+  }
+
+  return points;
+}
@@ -0,0 +1,238 @@
+// Quadtree (2D) and Octree (3D): trees of AABB's that subdivide space into
+// quadrants (or octants) as items are added, for range queries, k-nearest
+// searches and moving particles. Unlike kdTree, they need no metric, and
+// stay balanced under incremental insert, remove and update.
+//
+// Items are points (Vectors) or any objects with bounds. Each item is kept
+// in the deepest node that contains its bounds, so an item straddling a
+// split stays in the parent. Items outside the tree's bounds are kept in the
+// root. A Quadtree ignores z.
+//
+// Requires aabb.js to be loaded first.
+//
+// Example:
+//  let tree = new Quadtree(new AABB([new Vector(0, 0), new Vector(100, 100)]));
+//  particles.forEach(p => tree.insert(p));
+//  tree.queryRadius(new Vector(50, 50), 10); // particles within 10
+//  tree.nearest(new Vector(50, 50), 3); // 3 nearest as [{ item, distance }]
+//  tree.leaves().forEach(({ aabb, items }) => ...); // for recursive subdivision
+
+class SpatialTree {
+
+  // Create a tree
+  //  aabb        bounds of the tree (AABB)
+  //  nDims       number of dimensions to subdivide (2 or 3)
+  //  options
+  //    capacity    number of items in a node before it's split
+  //    maxDepth    maximum depth of nodes, after which nodes aren't split
+  //    getBounds   function that returns the AABB of an item. By default,
+  //                an item is a Vector, list of Vectors or AABB.
+  constructor(aabb, nDims, { capacity = 8, maxDepth = 8, getBounds = null } = {}) {
+    if (!(aabb instanceof AABB)) throw new Error('SpatialTree: bounds must be an AABB.');
+    this.nDims = nDims;
+    this.capacity = capacity;
+    this.maxDepth = maxDepth;
+    this.getBounds = getBounds || (item => new AABB(item));
+    this._axes = AABB_AXES.slice(0, nDims);
+    // Entries ({ item, bounds, node }) by item
+    this._entries = new Map();
+    this.root = this._node(aabb.copy(), 0, null);
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  // Nodes have bounds (`aabb`), a `depth`, a `parent`, the `entries` kept in
+  // the node, the `count` of entries in the node and its descendants, and
+  // `children` (or null for leaves).
+  _node(aabb, depth, parent) {
+    return { aabb, depth, parent, entries: [], count: 0, children: null };
+  }
+
+  // Does AABB `a` contain AABB `b`?
+  _fits(a, b) {
+    return this._axes.every(c => a.min[c] <= b.min[c] && b.max[c] <= a.max[c]);
+  }
+
+  // Distance from a vector `p` to an AABB `a` (0 inside)
+  _distanceTo(a, p) {
+    let sum = 0;
+    for (let c of this._axes) {
+      let d = Math.max(a.min[c] - p[c], 0, p[c] - a.max[c]);
+      sum += d * d;
+    }
+    return Math.sqrt(sum);
+  }
+
+  // Place an entry in the deepest descendant of `node` that contains it,
+  // splitting that node if it's full
+  _place(node, entry) {
+    while (node.children) {
+      let child = node.children.find(child => this._fits(child.aabb, entry.bounds));
+      if (child == null) break;
+      node = child;
+      node.count++;
+    }
+    entry.node = node;
+    node.entries.push(entry);
+    if (node.children == null && node.entries.length > this.capacity && node.depth < this.maxDepth) {
+      this._split(node);
+    }
+  }
+
+  // Split a leaf into 2^nDims children and move its entries down
+  _split(node) {
+    node.children = this._axes
+      .reduce((boxes, c) => boxes.map(box => box.split(c)).flat(), [node.aabb])
+      .map(aabb => this._node(aabb, node.depth + 1, node));
+    let entries = node.entries;
+    node.entries = [];
+    entries.forEach(entry => this._place(node, entry));
+  }
+
+  // Collapse `node` and its ancestors into leaves while they have few
+  // enough entries
+  _merge(node) {
+    for (; node; node = node.parent) {
+      if (node.children == null) continue;
+      if (node.count > this.capacity) break;
+      let collect = (n) => n.entries.concat(...(n.children || []).map(collect));
+      node.entries = collect(node);
+      node.entries.forEach(entry => entry.node = node);
+      node.children = null;
+    }
+  }
+
+  // Insert an item. Its bounds are found with `getBounds`, unless provided.
+  // An item that's already in the tree is updated.
+  insert(item, bounds = null) {
+    if (this._entries.has(item)) return this.update(item, bounds);
+    let entry = { item, bounds: bounds || this.getBounds(item), node: null };
+    this._entries.set(item, entry);
+    this.root.count++;
+    this._place(this.root, entry);
+    return this;
+  }
+
+  // Remove an item. Returned is whether it was in the tree.
+  remove(item) {
+    let entry = this._entries.get(item);
+    if (entry == null) return false;
+    this._entries.delete(item);
+    let node = entry.node;
+    node.entries.splice(node.entries.indexOf(entry), 1);
+    for (let n = node; n; n = n.parent) n.count--;
+    this._merge(node);
+    return true;
+  }
+
+  // Update an item after it has moved or changed. Its bounds are found with
+  // `getBounds`, unless provided. An item that stays within its leaf isn't
+  // moved.
+  update(item, bounds = null) {
+    let entry = this._entries.get(item);
+    if (entry == null) return this.insert(item, bounds);
+    entry.bounds = bounds || this.getBounds(item);
+    let node = entry.node;
+    if (node.children == null && (node.parent == null || this._fits(node.aabb, entry.bounds))) {
+      return this;
+    }
+    this.remove(item);
+    return this.insert(item, entry.bounds);
+  }
+
+  has(item) {
+    return this._entries.has(item);
+  }
+
+  // Remove all items
+  clear() {
+    this._entries.clear();
+    this.root = this._node(this.root.aabb, 0, null);
+  }
+
+  // Get the items whose entries pass `test(bounds)`, searching only nodes
+  // whose bounds pass `test`. Root entries are always tested, since they
+  // can be outside the tree's bounds.
+  _search(test) {
+    let items = [];
+    let stack = [this.root];
+    while (stack.length > 0) {
+      let node = stack.pop();
+      node.entries.forEach(entry => {
+        if (test(entry.bounds)) items.push(entry.item);
+      });
+      (node.children || []).forEach(child => {
+        if (child.count > 0 && test(child.aabb)) stack.push(child);
+      });
+    }
+    return items;
+  }
+
+  // Get the items whose bounds intersect (or touch) an AABB `b`
+  query(b) {
+    return this._search(a => a.intersects(b, this.nDims) >= 0);
+  }
+
+  // Get the items whose bounds are within `radius` of a vector `p` (a circle
+  // in a Quadtree, a sphere in an Octree)
+  queryRadius(p, radius) {
+    return this._search(a => this._distanceTo(a, p) <= radius);
+  }
+
+  // Get the `k` nearest items to a vector `p`, within `maxDistance`.
+  // Returned is a list of { item, distance }, nearest first. The distance
+  // is to the item's bounds, which for points is the distance to the point.
+  nearest(p, k = 1, maxDistance = Infinity) {
+    if (k <= 0) return [];
+    let best = [];
+    let accepts = (d) => best.length < k ? d <= maxDistance : d < best.at(-1).distance;
+    let search = (node) => {
+      node.entries.forEach(entry => {
+        let distance = this._distanceTo(entry.bounds, p);
+        if (!accepts(distance)) return;
+        let index = best.findIndex(b => b.distance > distance);
+        best.splice(index < 0 ? best.length : index, 0, { item: entry.item, distance });
+        if (best.length > k) best.pop();
+      });
+      // Search the closer children first
+      (node.children || [])
+        .filter(child => child.count > 0)
+        .map(child => ({ child, distance: this._distanceTo(child.aabb, p) }))
+        .sort((a, b) => a.distance - b.distance)
+        .forEach(({ child, distance }) => {
+          if (accepts(distance)) search(child);
+        });
+    };
+    search(this.root);
+    return best;
+  }
+
+  // Get the leaves of the tree, depth first. Each is an object with the
+  // leaf's bounds (`aabb`), `depth` and the `items` kept in it. Items
+  // straddling a split aren't in any leaf.
+  leaves() {
+    let leaves = [];
+    let visit = (node) => {
+      if (node.children) node.children.forEach(visit);
+      else leaves.push({ aabb: node.aabb, depth: node.depth, items: node.entries.map(entry => entry.item) });
+    };
+    visit(this.root);
+    return leaves;
+  }
+}
+
+class Quadtree extends SpatialTree {
+  // Create a quadtree over the x and y of an AABB (see SpatialTree)
+  constructor(aabb, options = {}) {
+    super(aabb, 2, options);
+  }
+}
+
+class Octree extends SpatialTree {
+  // Create an octree over an AABB (see SpatialTree)
+  constructor(aabb, options = {}) {
+    super(aabb, 3, options);
+  }
+}
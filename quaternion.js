@@ -0,0 +1,210 @@
+// Quaternion for 3D rotations, stored as x, y, z (vector part) and w.
+// Like Vector, all operations return a copy, leaving the quaternion unchanged.
+//
+// Euler angles are given as a Vector of angles (radians) around x, y and z,
+// with an explicit `order` such as 'XYZ'. The order lists intrinsic
+// rotations: the rotation matrix is the product of the rotation matrices
+// of each axis, in that order (for 'XYZ', Rx * Ry * Rz).
+// Conversions follow three.js: https://github.com/mrdoob/three.js
+class Quaternion {
+  // By default, the identity rotation is created.
+  constructor(x = 0, y = 0, z = 0, w = 1) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+  }
+
+  // Rotation by `angle` (radians) around a normalized `axis`
+  static fromAxisAngle(axis, angle) {
+    let s = Math.sin(angle / 2);
+    return new Quaternion(axis.x * s, axis.y * s, axis.z * s, Math.cos(angle / 2));
+  }
+
+  // Shortest rotation from normalized vector `a` to normalized vector `b`.
+  // When they are opposite, the rotation is a half turn around a vector
+  // orthogonal to `a`. When either is zero, the identity is returned.
+  static fromUnitVectors(a, b) {
+    let r = a.dot(b) + 1;
+    if (r < Number.EPSILON) {
+      let axis = a.ortho();
+      return new Quaternion(axis.x, axis.y, axis.z, 0);
+    }
+    let c = a.cross(b);
+    return (new Quaternion(c.x, c.y, c.z, r)).normalize();
+  }
+
+  // Rotation from Euler angles `e` (a Vector) applied in `order`
+  static fromEuler(e, order = 'XYZ') {
+    let axes = { X: new Vector(1, 0, 0), Y: new Vector(0, 1, 0), Z: new Vector(0, 0, 1) };
+    return order
+      .toUpperCase()
+      .split('')
+      .map(c => Quaternion.fromAxisAngle(axes[c], e[c.toLowerCase()]))
+      .reduce((q, r) => q.multiply(r));
+  }
+
+  // Rotation from the rotation part of an AffineMatrix (without scale)
+  static fromRotationMatrix(m) {
+    let [m11, m12, m13, m21, m22, m23, m31, m32, m33] =
+      [0, 1, 2, 4, 5, 6, 8, 9, 10].map(i => m.m[i]);
+    let trace = m11 + m22 + m33;
+    let s;
+    if (trace > 0) {
+      s = 0.5 / Math.sqrt(trace + 1);
+      return new Quaternion((m32 - m23) * s, (m13 - m31) * s, (m21 - m12) * s, 0.25 / s);
+    } else if (m11 > m22 && m11 > m33) {
+      s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+      return new Quaternion(0.25 * s, (m12 + m21) / s, (m13 + m31) / s, (m32 - m23) / s);
+    } else if (m22 > m33) {
+      s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+      return new Quaternion((m12 + m21) / s, 0.25 * s, (m23 + m32) / s, (m13 - m31) / s);
+    } else {
+      s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+      return new Quaternion((m13 + m31) / s, (m23 + m32) / s, 0.25 * s, (m21 - m12) / s);
+    }
+  }
+
+  copy() {
+    return new Quaternion(this.x, this.y, this.z, this.w);
+  }
+
+  array() {
+    return [this.x, this.y, this.z, this.w];
+  }
+
+  dot(q) {
+    return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+  }
+
+  mag() {
+    return Math.sqrt(this.dot(this));
+  }
+
+  normalize() {
+    let m = this.mag();
+    if (m === 0) return new Quaternion();
+    return new Quaternion(this.x / m, this.y / m, this.z / m, this.w / m);
+  }
+
+  conjugate() {
+    return new Quaternion(-this.x, -this.y, -this.z, this.w);
+  }
+
+  invert() {
+    let m = this.dot(this);
+    if (m === 0) return new Quaternion();
+    return new Quaternion(-this.x / m, -this.y / m, -this.z / m, this.w / m);
+  }
+
+  // Multiply this quaternion by `q` (this * q). The rotation `q` is applied
+  // first, then this rotation.
+  multiply(q) {
+    let a = this;
+    return new Quaternion(
+      a.x * q.w + a.w * q.x + a.y * q.z - a.z * q.y,
+      a.y * q.w + a.w * q.y + a.z * q.x - a.x * q.z,
+      a.z * q.w + a.w * q.z + a.x * q.y - a.y * q.x,
+      a.w * q.w - a.x * q.x - a.y * q.y - a.z * q.z
+    );
+  }
+
+  // Spherical interpolation to `q` by `t`, along the shortest path.
+  // `t` can lie outside the range [0, 1] to extrapolate.
+  slerp(q, t) {
+    let cos = this.dot(q);
+    // Take the shortest path
+    if (cos < 0) {
+      q = new Quaternion(-q.x, -q.y, -q.z, -q.w);
+      cos = -cos;
+    }
+    let a, b;
+    if (cos > 1 - Number.EPSILON) {
+      // Nearly identical rotations; interpolate linearly
+      [a, b] = [1 - t, t];
+    } else {
+      let angle = Math.acos(cos);
+      let sin = Math.sin(angle);
+      [a, b] = [Math.sin((1 - t) * angle) / sin, Math.sin(t * angle) / sin];
+    }
+    return (new Quaternion(
+      a * this.x + b * q.x,
+      a * this.y + b * q.y,
+      a * this.z + b * q.z,
+      a * this.w + b * q.w
+    )).normalize();
+  }
+
+  // Rotate a Vector by this (normalized) quaternion
+  rotate(v) {
+    return v.applyQuaternion(this);
+  }
+
+  // Get [axis, angle] of this (normalized) rotation. The axis of the identity
+  // rotation is +x.
+  toAxisAngle() {
+    let angle = 2 * Math.acos(clamp(this.w, -1, 1));
+    let s = Math.sqrt(1 - this.w * this.w);
+    let axis = s < Number.EPSILON
+      ? new Vector(1, 0, 0)
+      : new Vector(this.x / s, this.y / s, this.z / s);
+    return [axis, angle];
+  }
+
+  // Get the rotation matrix (an AffineMatrix) of this (normalized) rotation
+  toMatrix() {
+    let { x, y, z, w } = this;
+    return new AffineMatrix([
+      1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w), 0,
+      2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w), 0,
+      2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y), 0,
+      0, 0, 0, 1
+    ]);
+  }
+
+  // Get Euler angles (a Vector) that produce this rotation when applied in
+  // `order`. The middle angle lies in [-PI/2, PI/2].
+  toEuler(order = 'XYZ') {
+    let m = this.toMatrix().m;
+    let [m11, m12, m13, m21, m22, m23, m31, m32, m33] =
+      [0, 1, 2, 4, 5, 6, 8, 9, 10].map(i => m[i]);
+    // Is the middle angle away from gimbal lock?
+    let free = a => Math.abs(a) < 0.9999999;
+    let x = 0, y = 0, z = 0;
+    switch (order.toUpperCase()) {
+      case 'XYZ':
+        y = Math.asin(clamp(m13, -1, 1));
+        if (free(m13)) [x, z] = [Math.atan2(-m23, m33), Math.atan2(-m12, m11)];
+        else x = Math.atan2(m32, m22);
+        break;
+      case 'YXZ':
+        x = Math.asin(-clamp(m23, -1, 1));
+        if (free(m23)) [y, z] = [Math.atan2(m13, m33), Math.atan2(m21, m22)];
+        else y = Math.atan2(-m31, m11);
+        break;
+      case 'ZXY':
+        x = Math.asin(clamp(m32, -1, 1));
+        if (free(m32)) [y, z] = [Math.atan2(-m31, m33), Math.atan2(-m12, m22)];
+        else z = Math.atan2(m21, m11);
+        break;
+      case 'ZYX':
+        y = Math.asin(-clamp(m31, -1, 1));
+        if (free(m31)) [x, z] = [Math.atan2(m32, m33), Math.atan2(m21, m11)];
+        else z = Math.atan2(-m12, m22);
+        break;
+      case 'YZX':
+        z = Math.asin(clamp(m21, -1, 1));
+        if (free(m21)) [x, y] = [Math.atan2(-m23, m22), Math.atan2(-m31, m11)];
+        else y = Math.atan2(m13, m33);
+        break;
+      case 'XZY':
+        z = Math.asin(-clamp(m12, -1, 1));
+        if (free(m12)) [x, y] = [Math.atan2(m32, m22), Math.atan2(m13, m11)];
+        else x = Math.atan2(-m23, m33);
+        break;
+      default:
+        console.warn('Quaternion.prototype.toEuler:', 'unknown order', order);
+    }
+    return new Vector(x, y, z);
+  }
+}
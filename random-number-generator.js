@@ -27,35 +27,124 @@ class SFC32 {
     s.data = [...this.data];
     return s;
   }
+
+  // Get a JSON-serializable copy of the state
+  getState() {
+    return {
+      u: this.u,
+      data: [...this.data]
+    };
+  }
+
+  // Restore a state produced by getState()
+  setState(state) {
+    this.u = state.u;
+    this.data_original = [0, 8, 16, 24].map(i => parseInt(state.u.substr(i, 8), 16));
+    this.data = [...state.data];
+    return this;
+  }
 }
 
+// Weighted sampler using Walker's alias method (with Vose's setup).
+// Setup takes O(n) time once; afterwards, each draw takes O(1) time and 
+// a single decimal from the RNG. Create one with RNG.weightedSampler().
+class AliasSampler {
+  constructor(values, weights, rng) {
+    let n = values.length;
+    weights = weights != null && weights.length == n ? weights : values.map(() => 1);
+    let sum = weights.sum();
+    if (n > 0 && !(sum > 0 && Number.isFinite(sum))) {
+      throw new Error('AliasSampler: weights must have a positive, finite sum.');
+    }
+
+    this.values = values;
+    this.rng = rng;
+    this.prob = new Array(n).fill(1);
+    this.alias = range(n);
+
+    // Pair each under-full column with an over-full one
+    let scaled = weights.map(w => w * n / sum);
+    let small = [];
+    let large = [];
+    scaled.forEach((p, i) => (p < 1 ? small : large).push(i));
+    while (small.length > 0 && large.length > 0) {
+      let s = small.pop();
+      let l = large.pop();
+      this.prob[s] = scaled[s];
+      this.alias[s] = l;
+      scaled[l] += scaled[s] - 1;
+      (scaled[l] < 1 ? small : large).push(l);
+    }
+  }
+
+  // Draw a value. Optionally provide a different RNG to draw from.
+  draw(rng = this.rng) {
+    if (this.values.length == 0) return null;
+    let u = rng.dec() * this.values.length;
+    let i = Math.floor(u);
+    return this.values[u - i < this.prob[i] ? i : this.alias[i]];
+  }
+}
+
+// Number of warmup steps used by generators seeded from a derived hash 
+// (substreams and goto). Derived hashes are already well mixed, so these 
+// generators don't need the long warmup of the main generator.
+const RNG_DERIVED_WARMUP_STEPS = 64;
+
 // Random number generator class
 class RNG {
-  constructor() {
+  // Create a generator. Options:
+  //  hash          hash to seed from (64 hex digits, optionally '0x' prefixed).
+  //                Defaults to the global tokenData.hash.
+  //  warmupSteps   number of steps taken when seeding or restarting
+  // Throws an Error if the hash is malformed.
+  constructor({ hash = null, warmupSteps = 5e5 } = {}) {
+
+    this.hash = RNG.parseHash(hash == null ? tokenData.hash : hash);
+    this.warmupSteps = warmupSteps;
+
+    // Named substreams, created on demand by stream(). Keyed on an object
+    // without a prototype, so names like 'constructor' are plain names.
+    this.streams = Object.create(null);
+
+    this._seed(this.hash);
+  }
+
+  // Seed both generators with `hash` and warm them up
+  _seed(hash, warmupSteps = this.warmupSteps) {
 
     // Use A
     this.useA = false;
 
-    // seed prngA with first half of tokenData.hash
-    // seed prngB with second half of tokenData.hash
+    // seed prngA with first half of the hash
+    // seed prngB with second half of the hash
     [this.A, this.B] = [2, 34].map(i => 
-      new SFC32(tokenData.hash.substr(i, 32)));
+      new SFC32(hash.substr(i, 32)));
 
     // Warm up the RNG
-    this.warmup();
+    return this.warmup(warmupSteps);
   }
 
+  // Derive a new hash from this generator's hash and a `label`
+  _deriveHash(label) {
+    return '0x' + hashHex(this.hash + '|' + label.toString(), 8);
+  }
+
+  // Return to the start of the sequence. Substreams start over, too.
   restart() {
-    this.useA = false;
-    this.A.restart();
-    this.B.restart();
-    this.warmup();
-    return this;
+    this.streams = Object.create(null);
+    return this._seed(this.hash);
   }
 
-  warmup() {
-    for (let i = 0; i < 5e5; i += 1) this.step();
-    return this;
+  // Seed this generator with a new hash and start over.
+  // Throws an Error if the hash is malformed.
+  reseed(hash) {
+    this.hash = RNG.parseHash(hash);
+    return this.restart();
+  }
+
+  warmup(nSteps = this.warmupSteps) {
+    return this.step(nSteps);
   }
 
   // Step forward the generator
@@ -99,6 +188,173 @@ class RNG {
     return o * [o > 0 ? h : l] * s + m;
   }
 
+  // random Exponential with rate `rate` (mean 1 / rate)
+  exponential(rate = 1) {
+    return -Math.log(1 - this.dec()) / rate;
+  }
+
+  // random Log-normal; `m` and `s` are the mean and standard deviation of 
+  // the underlying gaussian
+  logNormal(m = 0, s = 1) {
+    return Math.exp(this.gaussian(m, s));
+  }
+
+  // random Gamma with shape `k` and scale `t` (mean k * t)
+  // Marsaglia and Tsang's method: https://doi.org/10.1145/358407.358414
+  gamma(k = 1, t = 1) {
+    if (k < 1) return this.gamma(k + 1, t) * Math.pow(1 - this.dec(), 1 / k);
+    let d = k - 1 / 3;
+    let c = 1 / Math.sqrt(9 * d);
+    while (true) {
+      let x = this.gaussian();
+      let v = 1 + c * x;
+      if (v <= 0) continue;
+      v = v * v * v;
+      let u = this.dec();
+      if (u < 1 - 0.0331 * x ** 4 ||
+        Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v * t;
+    }
+  }
+
+  // random Beta with shape parameters `a` and `b`, between 0 and 1
+  beta(a = 1, b = 1) {
+    let x = this.gamma(a);
+    let y = this.gamma(b);
+    return x / (x + y);
+  }
+
+  // random Poisson count with mean `l`
+  // Small means multiply uniforms (Knuth); large means use the transformed
+  // rejection method of Hörmann (PTRS): https://doi.org/10.1016/0167-6687(93)90997-4
+  poisson(l = 1) {
+    if (l <= 0) return 0;
+    if (l < 30) {
+      let limit = Math.exp(-l);
+      let k = 0;
+      let p = this.dec();
+      while (p > limit) {
+        k++;
+        p *= this.dec();
+      }
+      return k;
+    }
+    let sl = Math.sqrt(l);
+    let ll = Math.log(l);
+    let b = 0.931 + 2.53 * sl;
+    let a = -0.059 + 0.02483 * b;
+    let ia = 1.1239 + 1.1328 / (b - 3.4);
+    let vr = 0.9277 - 3.6224 / (b - 2);
+    while (true) {
+      let u = this.dec() - 0.5;
+      let v = this.dec();
+      let us = 0.5 - Math.abs(u);
+      let k = Math.floor((2 * a / us + b) * u + l + 0.43);
+      if (us >= 0.07 && v <= vr) return k;
+      if (k < 0 || (us < 0.013 && v > us)) continue;
+      if (Math.log(v) + Math.log(ia) - Math.log(a / (us * us) + b) <= 
+        -l + k * ll - logGamma(k + 1)) return k;
+    }
+  }
+
+  // random Triangular between `a` and `b`, peaking at mode `c`
+  triangular(a = 0, b = 1, c = (a + b) / 2) {
+    if (a == b) return a;
+    let u = this.dec();
+    let f = (c - a) / (b - a);
+    return u < f 
+      ? a + Math.sqrt(u * (b - a) * (c - a))
+      : b - Math.sqrt((1 - u) * (b - a) * (b - c));
+  }
+
+  // random Pareto (power law) with minimum `m` and shape `a`
+  pareto(m = 1, a = 1) {
+    return m * Math.pow(1 - this.dec(), -1 / a);
+  }
+
+  // random von Mises angle with mean `m` and concentration `k`, between 
+  // m - PI and m + PI. A `k` of 0 is uniform around the circle.
+  // Best and Fisher's method, as in Python's random.vonmisesvariate()
+  vonMises(m = 0, k = 1) {
+    if (k <= 1e-6) return m + Math.PI * (2 * this.dec() - 1);
+    let s = 0.5 / k;
+    let r = s + Math.sqrt(1 + s * s);
+    let z;
+    while (true) {
+      z = Math.cos(Math.PI * this.dec());
+      let d = z / (r + z);
+      let u = this.dec();
+      if (u < 1 - d * d || u <= (1 - d) * Math.exp(d)) break;
+    }
+    let q = 1 / r;
+    let f = (q + z) / (1 + q * z);
+    return m + Math.acos(f) * (this.dec() > 0.5 ? 1 : -1);
+  }
+
+  // random point inside an AABB
+  inAABB(aabb) {
+    return new Vector(
+      this.num(aabb.min.x, aabb.max.x),
+      this.num(aabb.min.y, aabb.max.y),
+      this.num(aabb.min.z, aabb.max.z)
+    );
+  }
+
+  // random point on a circle (in the XY plane) with center `c` and radius `r`
+  onCircle(c = new Vector(), r = 1) {
+    return c.add(Vector.fromAngle(this.num(0, 2 * Math.PI), r));
+  }
+
+  // random point inside a disk (in the XY plane) with center `c` and radius `r`
+  inDisk(c = new Vector(), r = 1) {
+    return this.onCircle(c, r * Math.sqrt(this.dec()));
+  }
+
+  // random point on a sphere with center `c` and radius `r`
+  onSphere(c = new Vector(), r = 1) {
+    let z = this.num(-1, 1);
+    let a = this.num(0, 2 * Math.PI);
+    let s = Math.sqrt(1 - z * z);
+    return c.add(new Vector(s * Math.cos(a), s * Math.sin(a), z).mult(r));
+  }
+
+  // random point inside a sphere with center `c` and radius `r`
+  inSphere(c = new Vector(), r = 1) {
+    return this.onSphere(c, r * Math.cbrt(this.dec()));
+  }
+
+  // random point inside the triangle with corners `a`, `b` and `c`
+  inTriangle(a, b, c) {
+    let u = this.dec();
+    let v = this.dec();
+    if (u + v > 1) [u, v] = [1 - u, 1 - v];
+    return a.add(b.sub(a).mult(u)).add(c.sub(a).mult(v));
+  }
+
+  // random point inside a 2D polygon, given as a PathLite or a list of 
+  // vertices. The polygon is triangulated on each call, so use 
+  // polygonSampler() to draw many points from the same polygon.
+  inPolygon(vertices) {
+    return this.polygonSampler(vertices)();
+  }
+
+  // Get a reusable function that draws random points inside a 2D polygon, 
+  // given as a PathLite or a list of vertices. The polygon is triangulated 
+  // once, and each draw picks a triangle by area in constant time. Draws 
+  // return null if the polygon has no area.
+  polygonSampler(vertices) {
+    if (vertices instanceof PathLite) vertices = vertices.vertices;
+    let triangles = triangulatePolygon(vertices);
+    let areas = triangles.map(([a, b, c]) => Math.abs(b.sub(a).cross(c.sub(a)).z));
+    if (!(areas.sum() > 0)) return () => null;
+    let sampler = this.weightedSampler(triangles, areas);
+    return () => this.inTriangle(...sampler.draw());
+  }
+
+  // random point on a PathLite, uniform by arc length
+  onPath(path) {
+    return path.getPointAt(this.num(0, path.length));
+  }
+
   // random Choice
   // Optionally provide weights for each value.
   // Optionally sensitize with a power applied to the random number
@@ -134,27 +390,141 @@ class RNG {
     }
   }
 
+  // Get a reusable weighted sampler for `values` with `weights`, which draws 
+  // in constant time. Prefer this over choose() for repeated picks from the 
+  // same list. Throws an Error if the weights don't have a positive sum.
+  weightedSampler(values, weights) {
+    return new AliasSampler(values, weights, this);
+  }
+
+  // Shuffle an array (Fisher-Yates)
+  //    a   array
+  //    m   modify passed array? (default: false)
+  shuffle(a, m = false) {
+    a = m ? a : a.slice();
+    let i = a.length;
+    while (i > 1) {
+      let r = (this.dec() * i) | 0;
+      i--;
+      [a[i], a[r]] = [a[r], a[i]];
+    }
+    return a;
+  }
+
+  // Sample `k` values from an array without replacement, in random order
+  sample(a, k = 1) {
+    a = a.slice();
+    k = clamp(k, 0, a.length);
+    for (let i = 0; i < k; i++) {
+      let r = i + Math.floor(this.dec() * (a.length - i));
+      [a[i], a[r]] = [a[r], a[i]];
+    }
+    return a.splice(0, k);
+  }
+
+  // Sample `k` values without replacement, where each value is picked with
+  // probability proportional to its weight. Values with non-positive weights 
+  // are never picked. Uses weighted reservoir sampling (Efraimidis-Spirakis),
+  // so only one pass is made over the values.
+  weightedSample(values, weights, k = 1) {
+    if (k <= 0) return [];
+    // Pairs of [key, value], sorted by descending key
+    let reservoir = [];
+    values.forEach((value, i) => {
+      if (!(weights[i] > 0)) return;
+      let key = Math.log(1 - this.dec()) / weights[i];
+      if (reservoir.length < k || key > reservoir.at(-1)[0]) {
+        let index = reservoir.findIndex(([other]) => key > other);
+        reservoir.splice(index < 0 ? reservoir.length : index, 0, [key, value]);
+        if (reservoir.length > k) reservoir.pop();
+      }
+    });
+    return reservoir.map(([key, value]) => value);
+  }
+
   // Get a diverged instance of this random number generator from 
   // this point on.
   diverge() {
-    // Create a copy of this object
-    let diverged = new RNG();
-    diverged.useA = this.useA;
-    diverged.A = this.A.clone();
-    diverged.B = this.B.clone();
-    return diverged;
+    return RNG.fromState(this.getState());
+  }
+
+  // Get a JSON-serializable snapshot of this generator, including its 
+  // substreams. It can be restored exactly with setState() or fromState().
+  getState() {
+    return {
+      hash: this.hash,
+      warmupSteps: this.warmupSteps,
+      useA: this.useA,
+      A: this.A.getState(),
+      B: this.B.getState(),
+      streams: Object.fromEntries(
+        Object.entries(this.streams).map(([name, stream]) => [name, stream.getState()])
+      )
+    };
+  }
+
+  // Restore a snapshot produced by getState()
+  setState(state) {
+    this.hash = state.hash;
+    this.warmupSteps = state.warmupSteps;
+    this.useA = state.useA;
+    this.A = new SFC32(state.A.u).setState(state.A);
+    this.B = new SFC32(state.B.u).setState(state.B);
+    this.streams = Object.create(null);
+    Object.entries(state.streams || {}).forEach(([name, stream]) => {
+      this.streams[name] = RNG.fromState(stream);
+    });
+    return this;
+  }
+
+  // Create a generator from a snapshot produced by getState(), 
+  // without warming up.
+  static fromState(state) {
+    return new RNG({ hash: state.hash, warmupSteps: 0 }).setState(state);
+  }
+
+  // Create a generator from `hash` alone, without reading any globals.
+  // Throws an Error if the hash is malformed.
+  static fromHash(hash, warmupSteps = 5e5) {
+    return new RNG({ hash: RNG.parseHash(hash), warmupSteps });
+  }
+
+  // Validate a hash of 64 hex digits (optionally '0x' prefixed) and return it
+  // in the normalized form '0x' + lowercase digits. 
+  // Throws an Error if the hash is malformed.
+  static parseHash(hash) {
+    let match = typeof hash === 'string' ? hash.match(/^(0x)?([0-9a-f]{64})$/i) : null;
+    if (match == null) {
+      throw new Error(
+        'RNG: invalid hash ' + JSON.stringify(hash) + 
+        '; expected a string of 64 hex digits, optionally prefixed with "0x".'
+      );
+    }
+    return '0x' + match[2].toLowerCase();
   }
 
   // Given a seed (either string or number) as a starting point
   // for the RNG, reliably return to it.
+  // The generators are reseeded from a hash of `seed`, so seeking takes 
+  // constant time and distinct seeds don't collide.
   goto(seed) {
-    let text = seed.toString();
-    let hash = 0;
-    for (let i = 0; i < text.length; i++) {
-      hash += text.charCodeAt(i) * 31**i;
+    return this._seed(this._deriveHash('goto|' + seed), RNG_DERIVED_WARMUP_STEPS);
+  }
+
+  // Get the independent substream with the label `name` (e.g. 'palette').
+  // A substream is an RNG seeded from a hash of this generator's hash and 
+  // `name`, so it is deterministic per token and unaffected by draws from
+  // this generator or any other substream. The same instance is returned 
+  // for the same name until restart() is called.
+  stream(name) {
+    name = name.toString();
+    if (!(name in this.streams)) {
+      this.streams[name] = new RNG({
+        hash: this._deriveHash('stream|' + name), 
+        warmupSteps: RNG_DERIVED_WARMUP_STEPS
+      });
     }
-    hash %=1e6;
-    return this.restart().step(hash);
+    return this.streams[name];
   }
 }
 
@@ -0,0 +1,181 @@
+// Uniform grid of cells over an AABB, for "all points within r" queries
+// where r is fixed (flocking, differential growth, collision packing).
+// Unlike kdTree, the grid isn't rebuilt when points move: `move()` only
+// changes cells when a point crosses into another one. Queries are fastest
+// when the cell size is about the query radius.
+//
+// Items are Vectors, or any objects with a position (see `getPosition`).
+// Positions are copied when items are inserted or moved, so call `move()`
+// after moving an item. A position without z is at z = 0. Items outside
+// the AABB are kept in the nearest border cells, and are still found by
+// queries. Only occupied cells take memory, so small cells over a large
+// AABB are fine, though queries visit every cell within their radius.
+//
+// Requires aabb.js to be loaded first.
+//
+// Example:
+//  let grid = new SpatialHashGrid(10, new AABB([new Vector(0, 0), new Vector(800, 800)]));
+//  particles.forEach(p => grid.insert(p));
+//  particles.forEach(p => { p.addSelf(p.velocity); grid.move(p); });
+//  grid.queryRadius(particles[0], 10); // particles within 10
+//  grid.forEachPair(10, (a, b, distance) => ...); // each close pair once
+
+class SpatialHashGrid {
+
+  // Create a grid
+  //  cellSize    size of the (square or cubic) cells. It's doubled until the
+  //              AABB needs no more than 2^53 cells.
+  //  aabb        bounds of the grid. Cells span z if the AABB has depth.
+  //  options
+  //    getPosition   function that returns the position (Vector) of an
+  //                  item. By default, an item is its position.
+  constructor(cellSize, aabb, { getPosition = null } = {}) {
+    if (!(cellSize > 0)) throw new Error('SpatialHashGrid: cellSize must be a positive number.');
+    if (!(aabb instanceof AABB)) throw new Error('SpatialHashGrid: bounds must be an AABB.');
+    let dims = aabb.dims().array();
+    if (!dims.every(d => isFinite(d))) throw new Error('SpatialHashGrid: bounds must be finite.');
+    let count = size => dims.reduce((n, d) => n * Math.max(1, Math.ceil(d / size)), 1);
+    while (count(cellSize) > Number.MAX_SAFE_INTEGER) cellSize *= 2;
+    this.cellSize = cellSize;
+    this.aabb = aabb.copy();
+    this.getPosition = getPosition || (item => item);
+    this._min = this.aabb.min.array();
+    // Number of cells along each axis
+    this.nCells = dims.map(d => Math.max(1, Math.ceil(d / cellSize)));
+    // Occupied cells of entries ({ item, x, y, z, cell, slot }), by index
+    this._cells = new Map();
+    // Entries by item
+    this._entries = new Map();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  // Get the cell coordinate of `v` along axis `a` (0, 1 or 2), clamped to
+  // the grid
+  _coord(v, a) {
+    let c = Math.floor((v - this._min[a]) / this.cellSize);
+    return clamp(c, 0, this.nCells[a] - 1);
+  }
+
+  _index(i, j, k) {
+    return i + this.nCells[0] * (j + this.nCells[1] * k);
+  }
+
+  // Add an entry to the cell at its position
+  _add(entry) {
+    let cell = this._cells.get(entry.cell);
+    if (cell == null) this._cells.set(entry.cell, cell = []);
+    entry.slot = cell.length;
+    cell.push(entry);
+  }
+
+  // Remove an entry from its cell, by moving the cell's last entry into
+  // its slot. Empty cells are dropped.
+  _delete(entry) {
+    let cell = this._cells.get(entry.cell);
+    let last = cell.pop();
+    if (last !== entry) {
+      cell[entry.slot] = last;
+      last.slot = entry.slot;
+    }
+    if (cell.length == 0) this._cells.delete(entry.cell);
+  }
+
+  // Set the position of an entry. Returned is the index of its cell.
+  _setPosition(entry, p) {
+    entry.x = p.x;
+    entry.y = p.y;
+    entry.z = p.z || 0;
+    return this._index(this._coord(entry.x, 0), this._coord(entry.y, 1), this._coord(entry.z, 2));
+  }
+
+  // Insert an item. Its position is found with `getPosition`, unless
+  // provided. An item that's already in the grid is moved.
+  insert(item, position = null) {
+    if (this._entries.has(item)) return this.move(item, position);
+    let entry = { item, x: 0, y: 0, z: 0, cell: 0, slot: 0 };
+    entry.cell = this._setPosition(entry, position || this.getPosition(item));
+    this._entries.set(item, entry);
+    this._add(entry);
+    return this;
+  }
+
+  // Update the position of an item after it has moved. Its position is found
+  // with `getPosition`, unless provided.
+  move(item, position = null) {
+    let entry = this._entries.get(item);
+    if (entry == null) return this.insert(item, position);
+    let cell = this._setPosition(entry, position || this.getPosition(item));
+    if (cell != entry.cell) {
+      this._delete(entry);
+      entry.cell = cell;
+      this._add(entry);
+    }
+    return this;
+  }
+
+  // Remove an item. Returned is whether it was in the grid.
+  remove(item) {
+    let entry = this._entries.get(item);
+    if (entry == null) return false;
+    this._delete(entry);
+    this._entries.delete(item);
+    return true;
+  }
+
+  has(item) {
+    return this._entries.has(item);
+  }
+
+  // Remove all items
+  clear() {
+    this._cells.clear();
+    this._entries.clear();
+  }
+
+  // Call `f(entry)` for each entry in the cells within `radius` of `p`
+  _forEachNear(p, radius, f) {
+    let z = p.z || 0;
+    let i1 = this._coord(p.x + radius, 0);
+    let j1 = this._coord(p.y + radius, 1);
+    let k1 = this._coord(z + radius, 2);
+    for (let k = this._coord(z - radius, 2); k <= k1; k++) {
+      for (let j = this._coord(p.y - radius, 1); j <= j1; j++) {
+        for (let i = this._coord(p.x - radius, 0); i <= i1; i++) {
+          let cell = this._cells.get(this._index(i, j, k));
+          if (cell == null) continue;
+          for (let n = 0; n < cell.length; n++) f(cell[n]);
+        }
+      }
+    }
+  }
+
+  // Get the items within `radius` of a vector `p`
+  queryRadius(p, radius) {
+    let items = [];
+    let rSq = radius * radius;
+    let z = p.z || 0;
+    this._forEachNear(p, radius, entry => {
+      let dx = entry.x - p.x, dy = entry.y - p.y, dz = entry.z - z;
+      if (dx * dx + dy * dy + dz * dz <= rSq) items.push(entry.item);
+    });
+    return items;
+  }
+
+  // Call `f(a, b, distance)` for each pair of items within `radius` of
+  // each other. Each pair is visited once.
+  forEachPair(radius, f) {
+    let rSq = radius * radius;
+    this._cells.forEach(cell => cell.forEach(a => {
+      this._forEachNear(a, radius, b => {
+        // Visit each pair from the entry in the lower cell (or slot)
+        if (b.cell < a.cell || (b.cell == a.cell && b.slot <= a.slot)) return;
+        let dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+        let dSq = dx * dx + dy * dy + dz * dz;
+        if (dSq <= rSq) f(a.item, b.item, Math.sqrt(dSq));
+      });
+    }));
+  }
+}
@@ -0,0 +1,56 @@
+// Check the RNG's distributions against the mean and variance of theory.
+// Each distribution draws `n` samples from a generator with a fixed hash. A
+// sample statistic fails when it's more than 5 standard errors from theory.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const load = require('./load');
+
+const context = load(['helpers.js', 'vector.js', 'random-number-generator.js'], {
+  tokenData: { hash: '0x' + '0123456789abcdef'.repeat(4) }
+});
+const { logGamma } = context;
+
+const n = 1e5;
+
+// Modified Bessel function of the first kind, for von Mises moments
+const besselI = (order, x) => Array.from({ length: 50 }, (_, j) => j).reduce((sum, j) =>
+  sum + Math.pow(x / 2, 2 * j + order) / Math.exp(logGamma(j + 1) + logGamma(j + order + 1)), 0);
+const vonMisesA = (k, order) => besselI(order, k) / besselI(0, k);
+
+// [sample expression (of `rng`), theoretical mean, theoretical variance]
+const checks = [
+  ['rng.gaussian(1, 2)', 1, 4],
+  ['rng.exponential(2)', 1 / 2, 1 / 4],
+  ['rng.logNormal(0, 0.5)', Math.exp(0.125), (Math.exp(0.25) - 1) * Math.exp(0.25)],
+  ['rng.gamma(2.5, 1.5)', 3.75, 2.5 * 1.5 * 1.5],
+  ['rng.gamma(0.5, 2)', 1, 2],
+  ['rng.beta(2, 5)', 2 / 7, 10 / (49 * 8)],
+  ['rng.poisson(4)', 4, 4],
+  ['rng.poisson(50)', 50, 50],
+  ['rng.triangular(0, 3, 1)', 4 / 3, (9 + 1 - 3) / 18],
+  ['rng.pareto(1, 5)', 5 / 4, 5 / 48],
+  // Angles are checked through their cosine
+  ['Math.cos(rng.vonMises(0, 2))', vonMisesA(2, 1), (1 + vonMisesA(2, 2)) / 2 - vonMisesA(2, 1) ** 2],
+];
+
+checks.forEach(([expression, mean, variance]) => {
+  test(expression + ' has the mean and variance of theory', () => {
+    let xs = context.run(`
+      let rng = RNG.fromHash('0x' + hashHex(${JSON.stringify(expression)}, 8), RNG_DERIVED_WARMUP_STEPS);
+      return range(${n}).map(() => ${expression});
+    `);
+    let m = xs.reduce((sum, x) => sum + x, 0) / n;
+    let moment = (p) => xs.reduce((sum, x) => sum + (x - m) ** p, 0) / n;
+    let v = moment(2);
+    // Standard errors of the sample mean and variance
+    let seMean = Math.sqrt(v / n);
+    let seVariance = Math.sqrt(Math.max(moment(4) - v * v, 0) / n);
+    assert.ok(Math.abs(m - mean) <= 5 * seMean, 'mean ' + m + ' differs from ' + mean);
+    assert.ok(Math.abs(v - variance) <= 5 * seVariance, 'variance ' + v + ' differs from ' + variance);
+  });
+});
+
+test('triangular(a, a) returns a', () => {
+  assert.strictEqual(context.run('return R.triangular(2, 2);'), 2);
+});
@@ -0,0 +1,26 @@
+// Load library scripts into a fresh context, the way a page loads them with
+// <script> tags, for tests and benchmarks run with Node.js.
+//  files   list of file names, in load order (see the README)
+//  globals object of globals to define first (e.g. { tokenData })
+// Returned is the context, whose properties are the scripts' globals.
+// Top-level `const` and `class` declarations aren't properties of the
+// context, so use them through `context.run(body)`, which runs `body` as the
+// body of a function in the context and returns its result. Arrays and
+// objects it returns come from the context, so copy them before comparing
+// them with assert.deepStrictEqual().
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const load = (files, globals = {}) => {
+  let context = vm.createContext({ console, performance, ...globals });
+  files.forEach(file => {
+    let filename = path.join(__dirname, '..', file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+  context.run = (body) => vm.runInContext('(() => {\n' + body + '\n})()', context);
+  return context;
+};
+
+module.exports = load;
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const load = require('./load');
+
+const { run } = load([
+  'helpers.js', 'vector.js', 'vector-map.js', 'affine-matrix.js', 'aabb.js',
+  'path-lite.js', 'bvh.js', 'interop.js', 'path-ops.js', 'obb.js',
+  'random-number-generator.js'
+], { tokenData: { hash: '0x' + '0123456789abcdef'.repeat(4) } });
+
+test('OBB.fromPoints() contains every point', () => {
+  let outside = run(`
+    let rng = RNG.fromHash('0x' + hashHex('obb.test', 8));
+    return range(50).map(() => {
+      let points = range(40).map(() => new Vector(rng.num(0, 800), rng.num(0, 800)));
+      let obb = OBB.fromPoints(points);
+      return points.filter(p => obb.contains(p) < 0).length;
+    }).sum();
+  `);
+  assert.strictEqual(outside, 0);
+});
+
+test('OBB.fromPoints() contains points far from the origin', () => {
+  let outside = run(`
+    let rng = RNG.fromHash('0x' + hashHex('obb.test far', 8));
+    let points = range(40).map(() => new Vector(rng.num(1e6, 1e6 + 1), rng.num(1e6, 1e6 + 1)));
+    let obb = OBB.fromPoints(points);
+    return points.filter(p => obb.contains(p) < 0).length;
+  `);
+  assert.strictEqual(outside, 0);
+});
+
+test('OBB.intersects() reports touching boxes as an edge intersection', () => {
+  let result = run(`
+    let a = new OBB(new Vector(1, 2), new Vector(3, 1), 0.7);
+    let b = new OBB(a.center.add(Vector.fromAngle(a.angle, 6)), a.halfSizes, a.angle);
+    return [a.intersects(b), a.intersects(new OBB(b.center.mult(2), a.halfSizes, a.angle))];
+  `);
+  assert.deepStrictEqual([...result], [0, -1]);
+});
@@ -1,4 +1,13 @@
-function random_hash() {
+// Generate a random hash of 64 hex digits, prefixed with '0x'.
+// If a `seed` is provided, the same hash is returned for the same seed,
+// which is useful for reproducible test suites (this requires helpers.js).
+function random_hash(seed = null) {
+  if (seed != null) {
+    if (typeof hashHex === 'undefined') {
+      throw new Error('random_hash: a seed requires helpers.js to be loaded first.');
+    }
+    return '0x' + hashHex('random_hash|' + seed, 8);
+  }
   let x = "0123456789abcdef", hash = '0x'
   for (let i = 64; i > 0; --i) {
     hash += x[Math.floor(Math.random() * x.length)]
@@ -6,7 +15,101 @@ function random_hash() {
   return hash;
 };
 
+// Validate token data. Returned is a list of problems, which is empty
+// if the data is valid.
+function validate_token_data(data) {
+  let problems = [];
+  if (data == null || typeof data !== 'object') return ['Token data is not an object.'];
+  if (!(typeof data.hash === 'string' && /^0x[0-9a-fA-F]{64}$/.test(data.hash))) {
+    problems.push('Token data hash ' + JSON.stringify(data.hash) +
+      ' is not "0x" followed by 64 hex digits.');
+  }
+  if (!/^\d+$/.test(String(data.tokenId))) {
+    problems.push('Token data tokenId ' + JSON.stringify(data.tokenId) +
+      ' is not a non-negative integer.');
+  }
+  return problems;
+}
+
+// Get `hash` and `tokenId` overrides from the page URL (e.g. ?hash=0x...&tokenId=12).
+// They are for local development, so they're only applied when no token
+// data was injected. A tokenId without a hash gets a hash seeded by the
+// tokenId, so local runs are reproducible. This runs when token-data.js loads, so seeding needs
+// helpers.js to be loaded first; otherwise, the hash is left random.
+function url_token_data() {
+  if (typeof location === 'undefined' || typeof URLSearchParams === 'undefined') return {};
+  let params = new URLSearchParams(location.search);
+  let data = {};
+  if (params.has('tokenId')) data.tokenId = params.get('tokenId');
+  if (params.has('hash')) data.hash = params.get('hash');
+  else if ('tokenId' in data) {
+    if (typeof hashHex !== 'undefined') data.hash = random_hash(data.tokenId);
+    else console.error('?tokenId= without ?hash= needs helpers.js loaded before token-data.js for a reproducible hash; using a random hash.');
+  }
+  return data;
+}
+
+// Run `callback(tokenData, index)` once for each token in `tokens`, without
+// reloading the page. Each token is a hash or an object with `hash` and
+// optionally `tokenId`. Before each call, the global tokenData is updated and
+// the global RNG `R` is reseeded. Afterwards, both are restored to exactly
+// where they were, even if the callback throws (or its Promise rejects).
+// Returned is the list of results. If the callback returns a Promise, tokens
+// are processed in sequence and a Promise for the results is returned.
+function for_each_token(tokens, callback) {
+  let original = Object.assign({}, tokenData);
+  let state = typeof R !== 'undefined' ? R.getState() : null;
+  let results = [];
+
+  let load = (data) => {
+    Object.assign(tokenData, data);
+    if (typeof R !== 'undefined') R.reseed(tokenData.hash);
+  };
+
+  // Restore the original token data (dropping keys added by tokens) and
+  // the state of the RNG
+  let restore = () => {
+    Object.keys(tokenData).forEach(key => delete tokenData[key]);
+    Object.assign(tokenData, original);
+    if (state) R.setState(state);
+  };
+
+  let run = (index) => {
+    for (; index < tokens.length; index++) {
+      let token = typeof tokens[index] === 'string' ? { hash: tokens[index] } : tokens[index];
+      load(Object.assign({ tokenId: String(index) }, token));
+      let result = callback(tokenData, index);
+      if (result && typeof result.then === 'function') {
+        return result.then(value => {
+          results.push(value);
+          return run(index + 1);
+        });
+      }
+      results.push(result);
+    }
+    return results;
+  };
+
+  let output;
+  try {
+    output = run(0);
+  } catch (error) {
+    restore();
+    throw error;
+  }
+  if (output && typeof output.then === 'function') {
+    return output.then(
+      results => { restore(); return results; },
+      error => { restore(); throw error; }
+    );
+  }
+  restore();
+  return output;
+}
+
 if (!this.tokenData) this.tokenData = {};
 //INSERT_USER_TOKEN_DATA//
+if (Object.keys(tokenData).length == 0) Object.assign(tokenData, url_token_data());
 if (!('tokenId' in tokenData)) tokenData.tokenId = "123000456";
-if (!('hash' in tokenData)) tokenData.hash = random_hash();
\ No newline at end of file
+if (!('hash' in tokenData)) tokenData.hash = random_hash();
+validate_token_data(tokenData).forEach(problem => console.error(problem));
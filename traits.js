@@ -0,0 +1,125 @@
+// Declarative traits (features) computed from the token hash before rendering.
+//
+// Each trait declares its values, weights and the traits it depends on.
+// Traits are resolved in dependency order, and each one draws from its own
+// substream of a dedicated 'traits' stream. Thus, adding or changing one trait
+// never changes the values of unrelated traits.
+//
+// Example:
+//  let traits = new TraitRegistry()
+//    .declare({ name: 'Palette', values: ['Dusk', 'Neon'], weights: [3, 1] })
+//    .declare({
+//      name: 'Density',
+//      values: ['Sparse', 'Dense'],
+//      dependsOn: ['Palette'],
+//      weights: ({ Palette }) => Palette == 'Neon' ? [1, 0] : [1, 1]
+//    });
+//  let features = traits.resolve();
+//  traits.exportFeatures();
+
+class TraitRegistry {
+  constructor() {
+    // Trait declarations by name, in declaration order. It has no prototype,
+    // so names like "constructor" are free to declare.
+    this.traits = Object.create(null);
+    // Values of the last resolved traits
+    this.features = null;
+  }
+
+  // Declare a trait:
+  //  name        name of the trait
+  //  values      list of possible values
+  //  weights     list of weights for each value, or a function of the resolved
+  //              dependencies (an object of name to value) that returns one.
+  //              Values are equally likely by default.
+  //  dependsOn   list of names of traits that must be resolved first
+  declare({ name, values, weights = null, dependsOn = [] }) {
+    if (name in this.traits) {
+      throw new Error('TraitRegistry: trait "' + name + '" is already declared.');
+    }
+    this.traits[name] = { name, values, weights, dependsOn };
+    return this;
+  }
+
+  // Get the trait names in an order where dependencies come first.
+  // Throws an Error on unknown or circular dependencies.
+  _resolutionOrder() {
+    let order = [];
+    let state = Object.create(null); // 1 = visiting, 2 = visited
+    let visit = (name, from) => {
+      if (!(name in this.traits)) {
+        throw new Error('TraitRegistry: trait "' + from + '" depends on unknown trait "' + name + '".');
+      }
+      if (state[name] == 2) return;
+      if (state[name] == 1) {
+        throw new Error('TraitRegistry: circular dependency on trait "' + name + '".');
+      }
+      state[name] = 1;
+      this.traits[name].dependsOn.forEach(dependency => visit(dependency, name));
+      state[name] = 2;
+      order.push(name);
+    };
+    Object.keys(this.traits).forEach(name => visit(name));
+    return order;
+  }
+
+  // Resolve all traits for `hash` (tokenData.hash by default).
+  // Returned is an object (without a prototype) of trait name to value,
+  // which is also saved as `features`. Throws an Error if a trait's weights
+  // are invalid.
+  resolve(hash = tokenData.hash) {
+    let stream = RNG.fromHash(hash, 0).stream('traits');
+    let features = Object.create(null);
+    this._resolutionOrder().forEach(name => {
+      let { values, weights, dependsOn } = this.traits[name];
+      if (weights instanceof Function) {
+        weights = weights(Object.fromEntries(dependsOn.map(d => [d, features[d]])));
+      }
+      if (weights != null && !(weights.length == values.length &&
+        weights.every(w => w >= 0) && weights.sum() > 0 && Number.isFinite(weights.sum()))) {
+        throw new Error('TraitRegistry: weights of trait "' + name +
+          '" must be one non-negative weight per value, with a positive, finite sum.');
+      }
+      features[name] = stream.stream(name).choose(values, weights);
+    });
+    this.features = features;
+    return features;
+  }
+
+  // Expose the resolved features to the platform as `$features` and
+  // `features` on `target` (the global object by default).
+  exportFeatures(target = globalThis) {
+    if (this.features == null) this.resolve();
+    target.$features = JSON.parse(JSON.stringify(this.features));
+    target.features = target.$features;
+    return target.$features;
+  }
+
+  // Simulate rarity by resolving `n` hashes derived from `seed`.
+  // Returned is an object of trait name to a table with one row per value:
+  //  { value, count, percent }
+  // Log a table with console.table(report[name]).
+  simulateRarity(n = 1000, seed = 'rarity') {
+    let order = this._resolutionOrder();
+    let counts = Object.fromEntries(order.map(name =>
+      [name, this.traits[name].values.map(() => 0)]));
+    let features = this.features;
+    range(n).forEach(i => {
+      let resolved = this.resolve('0x' + hashHex(seed + '|' + i, 8));
+      order.forEach(name => {
+        let index = this.traits[name].values.indexOf(resolved[name]);
+        if (index >= 0) counts[name][index]++;
+      });
+    });
+    // Leave the last resolved features as they were
+    this.features = features;
+    return Object.fromEntries(order.map(name => [
+      name,
+      this.traits[name].values.map((value, index) => ({
+        value,
+        count: counts[name][index],
+        percent: counts[name][index] / n * 100
+      }))
+    ]));
+  }
+}
@@ -0,0 +1,164 @@
+// A packed list of 3D points, stored as three Float64Array's of x, y and z
+// components (a structure of arrays). Large point sets take far less memory
+// than a list of Vectors, and bulk operations run over the typed arrays
+// directly, without allocating a Vector per point.
+//
+// Like Vector, operations return a copy; mutable variants (e.g. `addSelf()`)
+// operate in place and return this array.
+//
+// Other APIs accept a VectorArray in different ways:
+//  calcPathLength()  reads the typed arrays directly
+//  kdTree            indexes a VectorArrayView per point (no copies)
+//  PathLite          keeps a packed copy, with views as its vertices
+class VectorArray {
+  // Create an array of `n` zero vectors
+  constructor(n = 0) {
+    this.x = new Float64Array(n);
+    this.y = new Float64Array(n);
+    this.z = new Float64Array(n);
+  }
+
+  // Create from a list of Vectors (or lists of components)
+  static fromVectors(vectors) {
+    let result = new VectorArray(vectors.length);
+    vectors.forEach((v, i) => {
+      if (v instanceof Vector) result.setAt(i, v.x, v.y, v.z);
+      else result.setAt(i, v[0], v[1], v[2]);
+    });
+    return result;
+  }
+
+  get length() {
+    return this.x.length;
+  }
+
+  copy() {
+    let result = new VectorArray();
+    result.x = this.x.slice();
+    result.y = this.y.slice();
+    result.z = this.z.slice();
+    return result;
+  }
+
+  // Get a copy of the vector at index `i`
+  get(i) {
+    return new Vector(this.x[i], this.y[i], this.z[i]);
+  }
+
+  // Get a live view of the vector at index `i`. The view is a Vector whose
+  // components read from and write to this array.
+  view(i) {
+    return new VectorArrayView(this, i);
+  }
+
+  // Set the vector at index `i` to a Vector or components (x, y, z)
+  setAt(i, x, y, z) {
+    if (x instanceof Vector) [x, y, z] = [x.x, x.y, x.z];
+    this.x[i] = x || 0;
+    this.y[i] = y || 0;
+    this.z[i] = z || 0;
+    return this;
+  }
+
+  // Convert to a list of Vectors (copies)
+  toVectors() {
+    return range(this.length).map(i => this.get(i));
+  }
+
+  // Call `f(x, y, z, i)` for each vector
+  forEach(f) {
+    for (let i = 0; i < this.length; i++) f(this.x[i], this.y[i], this.z[i], i);
+  }
+
+  // Add a Vector or components (x, y, z) to every vector
+  add(x, y, z) {
+    return this.copy().addSelf(x, y, z);
+  }
+
+  addSelf(x, y, z) {
+    [x, y, z] = (new Vector())._parseArgs(x, y, z);
+    for (let i = 0; i < this.length; i++) {
+      this.x[i] += x;
+      this.y[i] += y;
+      this.z[i] += z;
+    }
+    return this;
+  }
+
+  // Multiply every vector by a Vector or components (x, y, z). A single
+  // number scales uniformly. Two numbers scale x and y only.
+  mult(x, y, z) {
+    return this.copy().multSelf(x, y, z);
+  }
+
+  multSelf(x, y, z) {
+    if (x instanceof Vector) [x, y, z] = x.xyz;
+    else if (x instanceof Array) [x, y, z] = [x[0], x[1], x.length > 2 ? x[2] : 1];
+    else if (y == null) [y, z] = [x, x];
+    else if (z == null) z = 1;
+    for (let i = 0; i < this.length; i++) {
+      this.x[i] *= x;
+      this.y[i] *= y;
+      this.z[i] *= z;
+    }
+    return this;
+  }
+
+  // Transform every vector by an AffineMatrix `m`, as a point
+  transform(m) {
+    return this.copy().transformSelf(m);
+  }
+
+  transformSelf(m) {
+    let [a, b, c, tx, d, e, f, ty, g, h, k, tz, p, q, r, s] = m.m;
+    let projective = p !== 0 || q !== 0 || r !== 0 || s !== 1;
+    for (let i = 0; i < this.length; i++) {
+      let x = this.x[i];
+      let y = this.y[i];
+      let z = this.z[i];
+      let w = projective ? p * x + q * y + r * z + s : 1;
+      this.x[i] = (a * x + b * y + c * z + tx) / w;
+      this.y[i] = (d * x + e * y + f * z + ty) / w;
+      this.z[i] = (g * x + h * y + k * z + tz) / w;
+    }
+    return this;
+  }
+
+  // Get the bounds of all vectors as an AABB
+  bounds() {
+    if (this.length == 0) return new AABB();
+    let min = [Infinity, Infinity, Infinity];
+    let max = [-Infinity, -Infinity, -Infinity];
+    [this.x, this.y, this.z].forEach((values, d) => {
+      for (let i = 0; i < values.length; i++) {
+        if (values[i] < min[d]) min[d] = values[i];
+        if (values[i] > max[d]) max[d] = values[i];
+      }
+    });
+    return new AABB([new Vector(...min), new Vector(...max)]);
+  }
+}
+
+// A Vector that reads and writes its components at index `i` of a
+// VectorArray. Operations that return a copy return a plain Vector.
+class VectorArrayView extends Vector {
+  constructor(array, i) {
+    // Vector's constructor sets components before the array is known;
+    // the setters ignore those writes.
+    super();
+    this._array = array;
+    this._index = i;
+  }
+
+  // Index of this vector in the VectorArray
+  get index() {
+    return this._index;
+  }
+
+  get x() { return this._array.x[this._index]; }
+  set x(v) { if (this._array) this._array.x[this._index] = v; }
+  get y() { return this._array.y[this._index]; }
+  set y(v) { if (this._array) this._array.y[this._index] = v; }
+  get z() { return this._array.z[this._index]; }
+  set z(v) { if (this._array) this._array.z[this._index] = v; }
+}
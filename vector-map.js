@@ -0,0 +1,172 @@
+// Map and Set keyed by approximate position. Vectors within `epsilon` of
+// a stored key are treated as that key, so near-coincident points (e.g.
+// intersections computed from different segments) are deduplicated.
+//
+// Keys are found with a spatial hash of cells of size `epsilon`: any key
+// within `epsilon` of a point lies in the point's cell or a neighboring one.
+// Closeness isn't transitive, so the first key stored in a cluster of
+// points wins. Iteration is in insertion order.
+//
+// Example:
+//  let points = new VectorSet();
+//  points.add(new Vector(1, 2));
+//  points.has(new Vector(1, 2 + 1e-9)); // true
+
+class VectorMap {
+  // Create a map where keys within `epsilon` of each other are the same.
+  // Optionally, provide a list of [key, value] entries.
+  constructor(entries = [], epsilon = Vector.epsilon) {
+    if (!(epsilon > 0)) throw new Error('VectorMap: epsilon must be a positive number.');
+    this.epsilon = epsilon;
+    // Entries ({ key, value }) by cell hash
+    this._cells = new Map();
+    // Entries in insertion order
+    this._entries = new Set();
+    entries.forEach(([key, value]) => this.set(key, value));
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  // Get the cell coordinates of a Vector
+  _cell(v) {
+    return [v.x, v.y, v.z].map(c => Math.floor(c / this.epsilon));
+  }
+
+  // Find the entry with a key within epsilon of `v`, or null
+  _find(v) {
+    let [i, j, k] = this._cell(v);
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        for (let dk = -1; dk <= 1; dk++) {
+          let cell = this._cells.get((i + di) + ',' + (j + dj) + ',' + (k + dk));
+          if (cell == null) continue;
+          let entry = cell.find(e => e.key.equalsApprox(v, this.epsilon));
+          if (entry) return entry;
+        }
+      }
+    }
+    return null;
+  }
+
+  has(v) {
+    return this._find(v) != null;
+  }
+
+  get(v) {
+    let entry = this._find(v);
+    return entry ? entry.value : undefined;
+  }
+
+  // Get the stored key that `v` matches, or undefined
+  getKey(v) {
+    let entry = this._find(v);
+    return entry ? entry.key : undefined;
+  }
+
+  // Set the value for `v`. If a key within epsilon exists, its value is
+  // replaced and the key is kept. Otherwise, a copy of `v` is the new key.
+  set(v, value) {
+    let entry = this._find(v);
+    if (entry) {
+      entry.value = value;
+      return this;
+    }
+    entry = { key: v.copy(), value };
+    let hash = this._cell(entry.key).join(',');
+    if (!this._cells.has(hash)) this._cells.set(hash, []);
+    this._cells.get(hash).push(entry);
+    this._entries.add(entry);
+    return this;
+  }
+
+  // Delete the key within epsilon of `v`. Returned is whether one existed.
+  delete(v) {
+    let entry = this._find(v);
+    if (entry == null) return false;
+    let hash = this._cell(entry.key).join(',');
+    let cell = this._cells.get(hash);
+    cell.splice(cell.indexOf(entry), 1);
+    if (cell.length == 0) this._cells.delete(hash);
+    this._entries.delete(entry);
+    return true;
+  }
+
+  clear() {
+    this._cells.clear();
+    this._entries.clear();
+  }
+
+  keys() {
+    return [...this._entries].map(e => e.key);
+  }
+
+  values() {
+    return [...this._entries].map(e => e.value);
+  }
+
+  entries() {
+    return [...this._entries].map(e => [e.key, e.value]);
+  }
+
+  forEach(f) {
+    this._entries.forEach(e => f(e.value, e.key, this));
+  }
+
+  [Symbol.iterator]() {
+    return this.entries()[Symbol.iterator]();
+  }
+}
+
+class VectorSet {
+  // Create a set where vectors within `epsilon` of each other are the same.
+  // Optionally, provide a list of vectors.
+  constructor(vectors = [], epsilon = Vector.epsilon) {
+    this._map = new VectorMap([], epsilon);
+    vectors.forEach(v => this.add(v));
+  }
+
+  get size() {
+    return this._map.size;
+  }
+
+  get epsilon() {
+    return this._map.epsilon;
+  }
+
+  // Add `v`, unless a vector within epsilon is already in the set
+  add(v) {
+    if (!this._map.has(v)) this._map.set(v, true);
+    return this;
+  }
+
+  has(v) {
+    return this._map.has(v);
+  }
+
+  // Get the stored vector that `v` matches, or undefined
+  get(v) {
+    return this._map.getKey(v);
+  }
+
+  delete(v) {
+    return this._map.delete(v);
+  }
+
+  clear() {
+    this._map.clear();
+  }
+
+  values() {
+    return this._map.keys();
+  }
+
+  forEach(f) {
+    this._map.forEach((_, key) => f(key, key, this));
+  }
+
+  [Symbol.iterator]() {
+    return this.values()[Symbol.iterator]();
+  }
+}
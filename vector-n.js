@@ -0,0 +1,237 @@
+// An N-dimensional vector with the same API as Vector, for 4D homogeneous
+// coordinates, RGBA colors, noise-space traversal and parameter-space
+// searches. Like Vector, all operations return a copy of the result, and
+// mutable variants (e.g. `addSelf()`) operate in place.
+//
+// Components are stored by index (v[0], v[1], ...), so `range(v.dims)` is a
+// dimension list for kdTree. The first four components are also available
+// as x, y, z and w, so VectorN's can be added to an AABB (which bounds the
+// first three dimensions).
+//
+// Arguments to arithmetic can be a VectorN, Vector, Array or numbers.
+// Missing components are 0 when adding and 1 when multiplying or dividing.
+//
+// Example:
+//  let points = range(100).map(() => new VectorN(...range(5).map(() => R.dec())));
+//  let tree = new kdTree(points, VectorN.metric(), range(5));
+//  let [[nearest, distSq]] = tree.nearest(new VectorN(0.5, 0.5, 0.5, 0.5, 0.5), 1);
+
+// Names of the first four components, usable in patterns
+const VECTOR_N_NAMES = 'xyzw';
+
+class VectorN {
+  // Create a vector from components
+  constructor(...components) {
+    this.dims = components.length;
+    components.forEach((c, i) => this[i] = Vector._coerce(c, 'constructor', 'VectorN'));
+  }
+
+  // Create a vector of `n` components, all `value`
+  static fill(n, value = 0) {
+    return new VectorN(...Array(n).fill(value));
+  }
+
+  // Create from a Vector, extending with zeros to `n` dimensions
+  static fromVector(v, n = 3) {
+    return new VectorN(...range(n).map(i => i < 3 ? v.xyz[i] : 0));
+  }
+
+  // Get the component-wise [min, max] of a list of VectorN's
+  static bounds(vectors) {
+    let dims = vectors[0].dims;
+    return [Math.min, Math.max].map(f => new VectorN(
+      ...range(dims).map(d => vectors.reduce((m, v) => f(m, v[d]), vectors[0][d]))));
+  }
+
+  // Squared Euclidean distance function over `dimensions` (all by default)
+  // for kdTree. It also works for the plain objects kdTree measures with.
+  static metric(dimensions = null) {
+    return (a, b) => (dimensions || range(b.dims))
+      .reduce((sum, d) => sum + (a[d] - b[d]) ** 2, 0);
+  }
+
+  // Named components past `dims` read as 0 and ignore writes, so e.g. a 2D
+  // VectorN has a z of 0, like a 2D Vector.
+  get x() { return this._get(0); }
+  set x(v) { this._set(0, v); }
+  get y() { return this._get(1); }
+  set y(v) { this._set(1, v); }
+  get z() { return this._get(2); }
+  set z(v) { this._set(2, v); }
+  get w() { return this._get(3); }
+  set w(v) { this._set(3, v); }
+
+  _get(i) {
+    return i < this.dims ? this[i] : 0;
+  }
+
+  _set(i, v) {
+    if (i < this.dims) this[i] = v;
+  }
+
+  // Get component indices from a pattern, which is a string of component
+  // names (e.g. 'xyw') or a list of indices (e.g. range(2)).
+  _parsePattern(pattern) {
+    return typeof pattern === 'string'
+      ? pattern.toLowerCase().split('').map(c => VECTOR_N_NAMES.indexOf(c))
+      : pattern;
+  }
+
+  // Get a list of `dims` components from arguments, with missing components
+  // set to `fill`. A single number is used for all components when
+  // `uniform` is set.
+  _parseArgs(args, method, fill = 0, uniform = false) {
+    let [a] = args;
+    if (uniform && args.length == 1 && typeof a === 'number') {
+      return range(this.dims).map(() => a);
+    }
+    let values =
+      a instanceof VectorN ? a.array() :
+      a instanceof Vector ? a.xyz :
+      a instanceof Array ? a :
+      args;
+    return range(this.dims).map(i => i < values.length && values[i] != null
+      ? Vector._coerce(values[i], method, 'VectorN')
+      : fill);
+  }
+
+  set(...args) {
+    this._parseArgs(args, 'set').forEach((c, i) => this[i] = c);
+    return this;
+  }
+
+  // Copy this vector. If a `pattern` is provided, the copy has the
+  // components it lists, in order.
+  copy(pattern = null) {
+    if (pattern) {
+      return new VectorN(...this._parsePattern(pattern).map(i => i >= 0 ? this[i] || 0 : 0));
+    }
+    return new VectorN(...this.array());
+  }
+
+  add(...args) {
+    return this.copy().addSelf(...args);
+  }
+
+  addSelf(...args) {
+    this._parseArgs(args, 'add').forEach((c, i) => this[i] += c);
+    return this;
+  }
+
+  sub(...args) {
+    return this.copy().subSelf(...args);
+  }
+
+  subSelf(...args) {
+    this._parseArgs(args, 'sub').forEach((c, i) => this[i] -= c);
+    return this;
+  }
+
+  mult(...args) {
+    return this.copy().multSelf(...args);
+  }
+
+  multSelf(...args) {
+    let factors = this._parseArgs(args, 'mult', 1, true);
+    if (!factors.every(Number.isFinite)) {
+      Vector._report('mult', 'arguments are either undefined or not finite numbers', 'VectorN');
+      return this;
+    }
+    factors.forEach((c, i) => this[i] *= c);
+    return this;
+  }
+
+  div(...args) {
+    return this.copy().divSelf(...args);
+  }
+
+  divSelf(...args) {
+    let factors = this._parseArgs(args, 'div', 1, true);
+    if (!factors.every(Number.isFinite)) {
+      Vector._report('div', 'arguments are either undefined or not finite numbers', 'VectorN');
+      return this;
+    }
+    if (factors.some(c => c === 0)) {
+      Vector._report('div', 'divide by 0', 'VectorN');
+      return this;
+    }
+    factors.forEach((c, i) => this[i] /= c);
+    return this;
+  }
+
+  magSq() {
+    return this.dot(this);
+  }
+
+  mag(n) {
+    if (n != null) return this.normalize().mult(n);
+    return Math.sqrt(this.magSq());
+  }
+
+  dot(...args) {
+    return this._parseArgs(args, 'dot').reduce((sum, c, i) => sum + this[i] * c, 0);
+  }
+
+  // Distance to `v` (a VectorN, Vector or Array). If a `pattern` is
+  // provided, only the components it lists are measured (see copy()).
+  dist(v, pattern = null) {
+    let indices = pattern ? this._parsePattern(pattern) : range(this.dims);
+    let values = v instanceof VectorN ? v.array() : v instanceof Vector ? v.xyz : v;
+    return Math.sqrt(indices.reduce((sum, i) => sum + ((values[i] || 0) - (this[i] || 0)) ** 2, 0));
+  }
+
+  normalize() {
+    return this.copy().normalizeSelf();
+  }
+
+  normalizeSelf() {
+    const len = this.mag();
+    if (len !== 0) this.multSelf(1 / len);
+    return this;
+  }
+
+  norm() {
+    return this.normalize();
+  }
+
+  limit(max) {
+    return this.copy().limitSelf(max);
+  }
+
+  limitSelf(max) {
+    const mSq = this.magSq();
+    if (mSq > max * max) this.multSelf(max / Math.sqrt(mSq));
+    return this;
+  }
+
+  // Linear interpolation to `v` (a VectorN, Vector or Array) by `amt`
+  lerp(v, amt) {
+    return this.copy().lerpSelf(v, amt);
+  }
+
+  lerpSelf(v, amt) {
+    this._parseArgs([v], 'lerp').forEach((c, i) => this[i] += (c - this[i]) * amt || 0);
+    return this;
+  }
+
+  equals(...args) {
+    return this._parseArgs(args, 'equals').every((c, i) => c === this[i]);
+  }
+
+  array(nDims = this.dims) {
+    return range(nDims).map(i => this[i] || 0);
+  }
+
+  // Get a Vector of the first three components
+  toVector() {
+    return new Vector(...this.array(3));
+  }
+
+  toString(delim = ',') {
+    return this.array().join(delim);
+  }
+
+  hash(fractionalDigits = 6) {
+    return this.array().map(c => c.toFixed(fractionalDigits)).join(',');
+  }
+}
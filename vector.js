@@ -3,9 +3,29 @@
 // borrowed from it, and some new ones are added.
 // An important difference is that all operations return a copy
 // of the result, leaving the vectors operated on, unchanged.
+// For hot loops, opt-in mutable variants (e.g. `addSelf()`, `multSelf()`)
+// operate in place and return this vector, without allocating.
+// Invalid arguments (NaN, infinite components, division by 0) are reported
+// with a warning and otherwise ignored, unless `Vector.strict` is set, in
+// which case a VectorError is thrown from the call.
 // https://github.com/processing/p5.js/tree/v1.5.0
+
+// Error thrown by Vector operations in strict mode
+class VectorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VectorError';
+  }
+}
+
 class Vector {
   constructor(x, y, z) {
+    // Only NaN components need reporting, so keep the check off the hot path
+    if (x !== x || y !== y || z !== z) {
+      x = Vector._coerce(x, 'constructor');
+      y = Vector._coerce(y, 'constructor');
+      z = Vector._coerce(z, 'constructor');
+    }
     this.x = x || 0;
     this.y = y || 0;
     this.z = z || 0;
@@ -26,20 +46,20 @@ class Vector {
 
   set(x, y, z) {
     if (x instanceof Vector) {
-      this.x = x.x || 0;
-      this.y = x.y || 0;
-      this.z = x.z || 0;
+      this.x = Vector._coerce(x.x, 'set');
+      this.y = Vector._coerce(x.y, 'set');
+      this.z = Vector._coerce(x.z, 'set');
       return this;
     }
     if (x instanceof Array) {
-      this.x = x[0] || 0;
-      this.y = x[1] || 0;
-      this.z = x[2] || 0;
+      this.x = Vector._coerce(x[0], 'set');
+      this.y = Vector._coerce(x[1], 'set');
+      this.z = Vector._coerce(x[2], 'set');
       return this;
     }
-    this.x = x || 0;
-    this.y = y || 0;
-    this.z = z || 0;
+    this.x = Vector._coerce(x, 'set');
+    this.y = Vector._coerce(y, 'set');
+    this.z = Vector._coerce(z, 'set');
     return this;
   }
 
@@ -77,22 +97,22 @@ class Vector {
   _parseArgs(x, y, z) {
     if (x instanceof Vector) {
       return [
-        x.x || 0, 
-        x.y || 0, 
-        x.z || 0
+        Vector._coerce(x.x, '_parseArgs'), 
+        Vector._coerce(x.y, '_parseArgs'), 
+        Vector._coerce(x.z, '_parseArgs')
       ];
     }
     if (x instanceof Array) {
       return [
-        x[0] || 0, 
-        x[1] || 0,
-        x[2] || 0
+        Vector._coerce(x[0], '_parseArgs'), 
+        Vector._coerce(x[1], '_parseArgs'),
+        Vector._coerce(x[2], '_parseArgs')
       ];
     }
     return [
-      x || 0, 
-      y || 0,
-      z || 0
+      Vector._coerce(x, '_parseArgs'), 
+      Vector._coerce(y, '_parseArgs'),
+      Vector._coerce(z, '_parseArgs')
     ];
   }
 
@@ -100,53 +120,92 @@ class Vector {
     let values = this._parseArgs(x,y,z);
     if (!values.every(i => Number.isFinite(i)) || 
       !values.every(i => typeof i === 'number')) {
-      console.warn('Vector contains undefined or infinite components.')
+      Vector._report('_parseArgsFinite', 'arguments contain undefined or infinite components');
     }
     return values;
   }
 
+  // Report an invalid argument to `method` of class `owner`. In strict mode,
+  // a VectorError is thrown. Otherwise, the warning is counted and passed to
+  // the `Vector.onWarning` hook (as a VectorError), or logged to the console
+  // if there is no hook.
+  static _report(method, message, owner = 'Vector') {
+    let name = owner + '.prototype.' + method + ':';
+    let error = new VectorError(name + ' ' + message);
+    // Start the stack trace at the caller
+    if (Error.captureStackTrace) Error.captureStackTrace(error, Vector._report);
+    if (Vector.strict) throw error;
+    Vector.warningCount++;
+    if (Vector.onWarning) Vector.onWarning(error);
+    else console.warn(name, message);
+  }
+
+  // Coerce a component to a number for `method`. Missing components
+  // (undefined or null) are 0, while NaN is reported before becoming 0.
+  static _coerce(v, method, owner = 'Vector') {
+    if (v !== v) Vector._report(method, 'NaN component coerced to 0', owner);
+    return v || 0;
+  }
+
+  // Reset the number of reported warnings
+  static resetWarnings() {
+    Vector.warningCount = 0;
+  }
+
   add(x, y, z) {
-    let result = this.copy();
+    return this.copy().addSelf(x, y, z);
+  }
+
+  addSelf(x, y, z) {
+    let result = this;
     if (x instanceof Vector) {
-      result.x += x.x || 0;
-      result.y += x.y || 0;
-      result.z += x.z || 0;
+      result.x += Vector._coerce(x.x, 'add');
+      result.y += Vector._coerce(x.y, 'add');
+      result.z += Vector._coerce(x.z, 'add');
       return result;
     }
     if (x instanceof Array) {
-      result.x += x[0] || 0;
-      result.y += x[1] || 0;
-      result.z += x[2] || 0;
+      result.x += Vector._coerce(x[0], 'add');
+      result.y += Vector._coerce(x[1], 'add');
+      result.z += Vector._coerce(x[2], 'add');
       return result;
     }
-    result.x += x || 0;
-    result.y += y || 0;
-    result.z += z || 0;
+    result.x += Vector._coerce(x, 'add');
+    result.y += Vector._coerce(y, 'add');
+    result.z += Vector._coerce(z, 'add');
     return result;
   }
 
   sub(x, y, z) {
-    let result = this.copy();
+    return this.copy().subSelf(x, y, z);
+  }
+
+  subSelf(x, y, z) {
+    let result = this;
     if (x instanceof Vector) {
-      result.x -= x.x || 0;
-      result.y -= x.y || 0;
-      result.z -= x.z || 0;
+      result.x -= Vector._coerce(x.x, 'sub');
+      result.y -= Vector._coerce(x.y, 'sub');
+      result.z -= Vector._coerce(x.z, 'sub');
       return result;
     }
     if (x instanceof Array) {
-      result.x -= x[0] || 0;
-      result.y -= x[1] || 0;
-      result.z -= x[2] || 0;
+      result.x -= Vector._coerce(x[0], 'sub');
+      result.y -= Vector._coerce(x[1], 'sub');
+      result.z -= Vector._coerce(x[2], 'sub');
       return result;
     }
-    result.x -= x || 0;
-    result.y -= y || 0;
-    result.z -= z || 0;
+    result.x -= Vector._coerce(x, 'sub');
+    result.y -= Vector._coerce(y, 'sub');
+    result.z -= Vector._coerce(z, 'sub');
     return result;
   }
 
   mult(x, y, z) {
-    let result = this.copy();
+    return this.copy().multSelf(...arguments);
+  }
+
+  multSelf(x, y, z) {
+    let result = this;
     if (x instanceof Vector) {
       // new Vector will check that values are valid upon construction but it's possible
       // that someone could change the value of a component after creation, which is why we still
@@ -163,10 +222,7 @@ class Vector {
         result.y *= x.y;
         result.z *= x.z;
       } else {
-        console.warn(
-          'Vector.prototype.mult:',
-          'x contains components that are either undefined or not finite numbers'
-        );
+        Vector._report('mult', 'x contains components that are either undefined or not finite numbers');
       }
       return result;
     }
@@ -188,19 +244,17 @@ class Vector {
           result.z *= x[2];
         }
       } else {
-        console.warn(
-          'Vector.prototype.mult:',
-          'x contains elements that are either undefined or not finite numbers'
-        );
+        Vector._report('mult', 'x contains elements that are either undefined or not finite numbers');
       }
       return result;
     }
   
-    const vectorComponents = [...arguments];
-    if (
-      vectorComponents.every(element => Number.isFinite(element)) &&
-      vectorComponents.every(element => typeof element === 'number')
-    ) {
+    // Check the arguments without allocating an array
+    let finite = true;
+    for (let i = 0; i < arguments.length; i++) {
+      if (!Number.isFinite(arguments[i])) finite = false;
+    }
+    if (finite) {
       if (arguments.length === 1) {
         result.x *= x;
         result.y *= x;
@@ -216,17 +270,18 @@ class Vector {
         result.z *= z;
       }
     } else {
-      console.warn(
-        'Vector.prototype.mult:',
-        'x, y, or z arguments are either undefined or not a finite number'
-      );
+      Vector._report('mult', 'x, y, or z arguments are either undefined or not a finite number');
     }
   
     return result;
   }
 
   div(x, y, z) {
-    let result = this.copy();
+    return this.copy().divSelf(...arguments);
+  }
+
+  divSelf(x, y, z) {
+    let result = this;
     if (x instanceof Vector) {
       // new Vector will check that values are valid upon construction but it's possible
       // that someone could change the value of a component after creation, which is why we still
@@ -240,17 +295,14 @@ class Vector {
         typeof x.z === 'number'
       ) {
         if (x.x === 0 || x.y === 0 || x.z === 0) {
-          console.warn('Vector.prototype.div:', 'divide by 0');
+          Vector._report('div', 'divide by 0');
           return result;
         }
         result.x /= x.x;
         result.y /= x.y;
         result.z /= x.z;
       } else {
-        console.warn(
-          'Vector.prototype.div:',
-          'x contains components that are either undefined or not finite numbers'
-        );
+        Vector._report('div', 'x contains components that are either undefined or not finite numbers');
       }
       return result;
     }
@@ -260,7 +312,7 @@ class Vector {
         x.every(element => typeof element === 'number')
       ) {
         if (x.some(element => element === 0)) {
-          console.warn('Vector.prototype.div:', 'divide by 0');
+          Vector._report('div', 'divide by 0');
           return result;
         }
   
@@ -277,22 +329,20 @@ class Vector {
           result.z /= x[2];
         }
       } else {
-        console.warn(
-          'Vector.prototype.div:',
-          'x contains components that are either undefined or not finite numbers'
-        );
+        Vector._report('div', 'x contains components that are either undefined or not finite numbers');
       }
   
       return result;
     }
   
-    const vectorComponents = [...arguments];
-    if (
-      vectorComponents.every(element => Number.isFinite(element)) &&
-      vectorComponents.every(element => typeof element === 'number')
-    ) {
-      if (vectorComponents.some(element => element === 0)) {
-        console.warn('Vector.prototype.div:', 'divide by 0');
+    // Check the arguments without allocating an array
+    let finite = true;
+    for (let i = 0; i < arguments.length; i++) {
+      if (!Number.isFinite(arguments[i])) finite = false;
+    }
+    if (finite) {
+      if (x === 0 || (arguments.length > 1 && y === 0) || (arguments.length > 2 && z === 0)) {
+        Vector._report('div', 'divide by 0');
         return result;
       }
   
@@ -311,10 +361,7 @@ class Vector {
         result.z /= z;
       }
     } else {
-      console.warn(
-        'Vector.prototype.div:',
-        'x, y, or z arguments are either undefined or not a finite number'
-      );
+      Vector._report('div', 'x, y, or z arguments are either undefined or not a finite number');
     }
   
     return result;
@@ -339,7 +386,9 @@ class Vector {
     if (x instanceof Vector) {
       return this.dot(x.x, x.y, x.z);
     }
-    return this.x * (x || 0) + this.y * (y || 0) + this.z * (z || 0);
+    return this.x * Vector._coerce(x, 'dot')
+      + this.y * Vector._coerce(y, 'dot')
+      + this.z * Vector._coerce(z, 'dot');
   }
 
   cross(v) {
@@ -350,6 +399,12 @@ class Vector {
   }
 
   dist(v, pattern=null) {
+    if (pattern == null) {
+      const x = v.x - this.x;
+      const y = v.y - this.y;
+      const z = v.z - this.z;
+      return Math.sqrt(x * x + y * y + z * z);
+    }
     return v
       .copy(pattern)
       .sub(this.copy(pattern))
@@ -357,18 +412,28 @@ class Vector {
   }
 
   normalize() {
+    return this.copy().normalizeSelf();
+  }
+
+  normalizeSelf() {
     const len = this.mag();
-    let result = this.copy();
     // here we multiply by the reciprocal instead of calling 'div()'
     // since div duplicates this zero check.
-    if (len !== 0) result = result.mult(1 / len);
-    return result;
+    if (len !== 0) this.multSelf(1 / len);
+    return this;
   }
 
   norm() {
     return this.normalize();
   }
 
+  normSelf() {
+    return this.normalizeSelf();
+  }
+
+  // Note: this returns an unchanged copy, since the results of div() and
+  // mult() are discarded. Existing pieces depend on it, so it's kept as is;
+  // use limitSelf() to limit the magnitude.
   limit(max) {
     let result = this.copy();
     const mSq = result.magSq();
@@ -379,6 +444,15 @@ class Vector {
     return result;
   }
 
+  limitSelf(max) {
+    const mSq = this.magSq();
+    if (mSq > max * max) {
+      this.divSelf(Math.sqrt(mSq)) //normalize it
+        .multSelf(max);
+    }
+    return this;
+  }
+
   heading(a) {
     if (a) {
       let result = this.copy();
@@ -419,14 +493,17 @@ class Vector {
   }
 
   lerp(x, y, z, amt) {
+    return this.copy().lerpSelf(x, y, z, amt);
+  }
+
+  lerpSelf(x, y, z, amt) {
     if (x instanceof Vector) {
-      return this.lerp(x.x, x.y, x.z, y);
+      return this.lerpSelf(x.x, x.y, x.z, y);
     }
-    let result = this.copy();
-    result.x += (x - result.x) * amt || 0;
-    result.y += (y - result.y) * amt || 0;
-    result.z += (z - result.z) * amt || 0;
-    return result;
+    this.x += (x - this.x) * amt || 0;
+    this.y += (y - this.y) * amt || 0;
+    this.z += (z - this.z) * amt || 0;
+    return this;
   }
 
   array(nDims = 3) {
@@ -455,6 +532,15 @@ class Vector {
     return this.x === a && this.y === b && this.z === c;
   }
 
+  // Is this vector within distance `eps` of a Vector or Array `v`?
+  equalsApprox(v, eps = Vector.epsilon) {
+    let [a, b, c] = this._parseArgs(v);
+    let x = a - this.x;
+    let y = b - this.y;
+    let z = c - this.z;
+    return x * x + y * y + z * z <= eps * eps;
+  }
+
   reflect(surfaceNormal) {
     let result = this.copy();
     surfaceNormal.normalize();
@@ -463,32 +549,34 @@ class Vector {
 
   // Rotate 3D, expects normalized axis
   rotate3D(axis, angle) {
+    return this.applyQuaternion(Quaternion.fromAxisAngle(axis, angle));
+  }
+
+  // Rotate by a (normalized) Quaternion `q`
+  applyQuaternion(q) {
     let _ = this.copy();
 
-    let h = angle / 2;
-    let s = Math.sin(h);
-    
-    let a = axis.x * s;
-    let b = axis.y * s;
-    let c = axis.z * s;
-    let d = Math.cos(h);
-    
     let x = _.x;
     let y = _.y;
     let z = _.z;
 
-    let ix = d * x + b * z - c * y;
-    let iy = d * y + c * x - a * z;
-    let iz = d * z + a * y - b * x;
-    let iw = -a * x - b * y - c * z;
+    let ix = q.w * x + q.y * z - q.z * y;
+    let iy = q.w * y + q.z * x - q.x * z;
+    let iz = q.w * z + q.x * y - q.y * x;
+    let iw = -q.x * x - q.y * y - q.z * z;
     
-    _.x = ix * d + iw * -a + iy * -c - iz * -b;
-    _.y = iy * d + iw * -b + iz * -a - ix * -c;
-    _.z = iz * d + iw * -c + ix * -b - iy * -a;
+    _.x = ix * q.w + iw * -q.x + iy * -q.z - iz * -q.y;
+    _.y = iy * q.w + iw * -q.y + iz * -q.x - ix * -q.z;
+    _.z = iz * q.w + iw * -q.z + ix * -q.y - iy * -q.x;
     
     return _;
   }
 
+  // Transform this point by an AffineMatrix `m`
+  transform(m) {
+    return m.transformPoint(this);
+  }
+
   // Project (normalized) onto vector `b`. 
   // If `r` is 1, then the remainder of the projection (the component 
   // orthogonal to `b`) is returned instead of the actual projection.
@@ -504,8 +592,14 @@ class Vector {
     return n == 1 ? (Math.abs(_.x) + Math.abs(_.y) + Math.abs(_.z)) : _.mag();
   } 
 
-  // Get euler angles to rotate an object oriented along the `i` indexed axis (0=+x, 1=+y, 2=+z) to the axis [angle] contained within this vector. Euler is in ZYX order. Note: You may need to apply a -1 to the euler angles in some situations. Use trial and error.
-  euler(i = 1) { 
+  // Get euler angles to rotate an object oriented along the `i` indexed axis (0=+x, 1=+y, 2=+z) to the axis [angle] contained within this vector. 
+  // If an `order` (e.g. 'XYZ', see Quaternion) is provided, the angles are those of the shortest rotation, applied in that order.
+  // Otherwise, the legacy angles are returned in ZYX order. Note: You may need to apply a -1 to the legacy angles in some situations.
+  euler(i = 1, order = null) { 
+    if (order) {
+      let axis = new Vector(...range(3).map(j => j == i ? 1 : 0));
+      return Quaternion.fromUnitVectors(axis, this.normalize()).toEuler(order);
+    }
     let _ = this.normalize();
     let a = _.array();
     SW = (a, p, q) => [a[p], a[q]] = [a[q], a[p]]; // Swap values at indices `p` and `q` in array `a`
@@ -535,9 +629,8 @@ class Vector {
   slerp(b, p) { 
     let _ = this.copy(); 
     let [c, d, q] = _.mag() <= Number.EPSILON ? [b, _, 1 - p] : [_, b, p];
-    return c.rotate3D(
-      c.norm().ortho(d), 
-      Math.abs(d.norm().angleBetween(c.norm())) * q
+    return c.applyQuaternion(
+      (new Quaternion()).slerp(Quaternion.fromUnitVectors(c.norm(), d.norm()), q)
     ).mag(
       q * (d.mag() - c.mag()) + c.mag()
     )
@@ -554,19 +647,80 @@ class Vector {
     return this.array().join(delim);
   }
 
+  toJSON() {
+    return { $type: 'Vector', x: this.x, y: this.y, z: this.z };
+  }
+
+  // Create from an object with x, y and z (e.g. parsed from toJSON())
+  static fromJSON(o) {
+    return new Vector(o.x, o.y, o.z);
+  }
+
+  // Hash of the rounded components. Points on either side of a rounding
+  // boundary hash differently, so use VectorMap or VectorSet to key by
+  // approximate position.
   hash(fractionalDigits=6) {
     return (this.x || 0).toFixed(fractionalDigits)
       + ',' + (this.y || 0).toFixed(fractionalDigits)
       + ',' + (this.z || 0).toFixed(fractionalDigits);
   }
 
+  // Kept for compatibility; prefer the static Vector.fromAngle()
   fromAngle(angle, length) {
-    if (typeof length === 'undefined') {
-      length = 1;
-    }
-    return new Vector(length * Math.cos(angle), length * Math.sin(angle), 0);
+    return Vector.fromAngle(angle, length);
   };
 
+  // Vector in the XY plane at `angle` (radians) from +x, with `length`
+  static fromAngle(angle, length = 1) {
+    return new Vector(length * Math.cos(angle), length * Math.sin(angle), 0);
+  }
+
+  // Coordinate systems. Angles are in radians:
+  //  theta   azimuth in the XY plane, from +x towards +y
+  //  phi     polar angle from +z, in [0, PI]
+
+  // Vector from polar coordinates (r, theta) in the XY plane
+  static fromPolar(r, theta) {
+    return Vector.fromAngle(theta, r);
+  }
+
+  // Vector from spherical coordinates (r, theta, phi)
+  static fromSpherical(r, theta, phi) {
+    let s = r * Math.sin(phi);
+    return new Vector(s * Math.cos(theta), s * Math.sin(theta), r * Math.cos(phi));
+  }
+
+  // Vector from cylindrical coordinates (r, theta, z)
+  static fromCylindrical(r, theta, z) {
+    return new Vector(r * Math.cos(theta), r * Math.sin(theta), z);
+  }
+
+  // Get polar coordinates [r, theta] of the XY components
+  toPolar() {
+    return [Math.hypot(this.x, this.y), Math.atan2(this.y, this.x)];
+  }
+
+  // Get spherical coordinates [r, theta, phi]. The zero vector has phi 0.
+  toSpherical() {
+    let r = this.mag();
+    return [r, Math.atan2(this.y, this.x), r > 0 ? Math.acos(clamp(this.z / r, -1, 1)) : 0];
+  }
+
+  // Get cylindrical coordinates [r, theta, z]
+  toCylindrical() {
+    return [...this.toPolar(), this.z];
+  }
+
+  // Random unit vector in the XY plane, drawn from `rng`
+  static random2D(rng = R) {
+    return rng.onCircle();
+  }
+
+  // Random unit vector, uniformly distributed on the sphere, drawn from `rng`
+  static random3D(rng = R) {
+    return rng.onSphere();
+  }
+
   round() {
     return new Vector(
       Math.round(this.x),
@@ -601,4 +755,17 @@ class Vector {
       })
     );
   }
-}
\ No newline at end of file
+}
+
+if (typeof registerType !== 'undefined') registerType('Vector', Vector);
+
+// Static fields are assigned here to maintain backwards compatibility
+// with Safari version <= 13.
+// Throw a VectorError on invalid arguments instead of warning?
+Vector.strict = false;
+// Number of warnings reported since the last resetWarnings()
+Vector.warningCount = 0;
+// Function called with a VectorError for each warning, instead of logging it
+Vector.onWarning = null;
+// Default tolerance of equalsApprox(), VectorMap and VectorSet
+Vector.epsilon = 1e-6;